@@ -0,0 +1,106 @@
+/**
+ * Element Snapper - Beautify
+ * Frames a finished capture for sharing: a solid, gradient or transparent
+ * background with padding, rounded corners on the capture, a drop shadow
+ * and an optional fixed aspect ratio (see lib/beautify_presets.js)
+ */
+
+// Drop shadow color; its blur comes from the preset
+const BEAUTIFY_SHADOW_COLOR = 'rgba(0, 0, 0, 0.35)';
+
+/**
+ * Get the line a gradient runs along, matching CSS linear-gradient angles
+ * The line passes through the center and is long enough for the corners
+ * to get the start and end colors
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {number} angle - Degrees, 0 = to top, 90 = to right
+ * @returns {number[]} Start and end points: x0, y0, x1, y1
+ */
+function getGradientLine(width, height, angle) {
+  const radians = angle * Math.PI / 180;
+  const dx = Math.sin(radians);
+  const dy = -Math.cos(radians);
+  const half = (Math.abs(width * dx) + Math.abs(height * dy)) / 2;
+
+  return [
+    width / 2 - dx * half, height / 2 - dy * half,
+    width / 2 + dx * half, height / 2 + dy * half
+  ];
+}
+
+/**
+ * Paint the frame background
+ * @param {OffscreenCanvasRenderingContext2D} ctx - Frame canvas context
+ * @param {object} preset - Normalized preset
+ * @param {boolean} opaque - Output has no alpha channel (transparent becomes white)
+ */
+function fillBeautifyBackground(ctx, preset, opaque) {
+  const { width, height } = ctx.canvas;
+
+  if (preset.background === 'transparent') {
+    if (!opaque) return;
+    ctx.fillStyle = '#ffffff';
+  } else if (preset.background === 'gradient') {
+    const gradient = ctx.createLinearGradient(...getGradientLine(width, height, preset.angle));
+    gradient.addColorStop(0, preset.color);
+    gradient.addColorStop(1, preset.color2);
+    ctx.fillStyle = gradient;
+  } else {
+    ctx.fillStyle = preset.color;
+  }
+
+  ctx.fillRect(0, 0, width, height);
+}
+
+/**
+ * Frame a capture with a preset
+ * Padding, corner radius and shadow are CSS pixels, scaled by the
+ * capture's pixel ratio so frames look the same on every display
+ * @param {Blob} blob - Captured image
+ * @param {object} preset - Normalized preset
+ * @param {number} dpr - Device pixel ratio the capture was taken at
+ * @param {object} encoderOptions - convertToBlob options (see getEncoderOptions)
+ * @param {boolean} opaque - Output has no alpha channel (JPG)
+ * @returns {Promise<Blob|null>} Framed image, null when the frame would exceed the canvas limit
+ */
+async function applyBeautifyFrame(blob, preset, dpr, encoderOptions, opaque) {
+  const bitmap = await createImageBitmap(blob);
+  const { width, height } = bitmap;
+  const layout = getBeautifyLayout(width, height, preset, dpr);
+
+  if (layout.width > MAX_CANVAS_DIMENSION || layout.height > MAX_CANVAS_DIMENSION) {
+    bitmap.close();
+    return null;
+  }
+
+  // Round the corners on a separate canvas, so the shadow follows them
+  // (and the capture's own transparency)
+  const shape = new OffscreenCanvas(width, height);
+  const shapeCtx = shape.getContext('2d');
+  shapeCtx.beginPath();
+  shapeCtx.roundRect(0, 0, width, height, Math.min(preset.radius * dpr, width / 2, height / 2));
+  shapeCtx.clip();
+  shapeCtx.drawImage(bitmap, 0, 0);
+  bitmap.close();
+
+  const canvas = new OffscreenCanvas(layout.width, layout.height);
+  const ctx = canvas.getContext('2d');
+  fillBeautifyBackground(ctx, preset, opaque);
+
+  if (preset.shadow > 0) {
+    ctx.shadowColor = BEAUTIFY_SHADOW_COLOR;
+    ctx.shadowBlur = preset.shadow * dpr;
+    ctx.shadowOffsetY = Math.round(preset.shadow * dpr / 4);
+  }
+  ctx.drawImage(shape, layout.x, layout.y);
+
+  const framed = await canvas.convertToBlob(encoderOptions);
+
+  shape.width = 0;
+  shape.height = 0;
+  canvas.width = 0;
+  canvas.height = 0;
+
+  return framed;
+}
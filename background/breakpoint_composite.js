@@ -0,0 +1,86 @@
+/**
+ * Element Snapper - Breakpoint composite
+ * Lays out captures of one element at several viewport widths side by side,
+ * each under a width label, for design reviews
+ */
+
+// Layout in CSS pixels, scaled by the device pixel ratio
+const COMPOSITE_PADDING = 32;
+const COMPOSITE_GAP = 32;
+const COMPOSITE_LABEL_HEIGHT = 36;
+const COMPOSITE_BACKGROUND = '#f1f5f9';
+const COMPOSITE_LABEL_COLOR = '#334155';
+
+/**
+ * Build the side-by-side composite
+ * Captures split past the canvas limit are reassembled from their parts
+ * (see createSegmentedCanvas for the part layout)
+ * @param {object[]} captures - Captures with width (viewport), blobs, imageWidth and imageHeight
+ * @param {number} dpr - Device pixel ratio
+ * @param {object} encoderOptions - convertToBlob options (type, quality)
+ * @returns {Promise<object>} Composite with blobs (in parts when over the canvas limit), width and height
+ */
+async function createBreakpointComposite(captures, dpr, encoderOptions) {
+  const padding = Math.round(COMPOSITE_PADDING * dpr);
+  const gap = Math.round(COMPOSITE_GAP * dpr);
+  const labelHeight = Math.round(COMPOSITE_LABEL_HEIGHT * dpr);
+
+  const width = padding * 2 + captures.reduce((sum, capture) => sum + capture.imageWidth, 0) + gap * (captures.length - 1);
+  const height = padding * 2 + labelHeight + Math.max(...captures.map(capture => capture.imageHeight));
+  const surface = createSegmentedCanvas(width, height);
+
+  try {
+    surface.segments.forEach(segment => {
+      segment.ctx.fillStyle = COMPOSITE_BACKGROUND;
+      segment.ctx.fillRect(0, 0, segment.width, segment.height);
+    });
+
+    let x = padding;
+    for (const capture of captures) {
+      const label = createCompositeLabel(`${capture.width}px`, capture.imageWidth, labelHeight, dpr);
+      surface.drawImage(label, 0, 0, label.width, label.height, x, padding, label.width, label.height);
+
+      // Parts are numbered row by row across the capture's segment grid
+      const columns = Math.ceil(capture.imageWidth / MAX_CANVAS_DIMENSION);
+      for (let i = 0; i < capture.blobs.length; i++) {
+        const imageBitmap = await createImageBitmap(capture.blobs[i]);
+        const partX = (i % columns) * MAX_CANVAS_DIMENSION;
+        const partY = Math.floor(i / columns) * MAX_CANVAS_DIMENSION;
+
+        surface.drawImage(
+          imageBitmap,
+          0, 0, imageBitmap.width, imageBitmap.height,
+          x + partX, padding + labelHeight + partY, imageBitmap.width, imageBitmap.height
+        );
+
+        imageBitmap.close();
+      }
+
+      x += capture.imageWidth + gap;
+    }
+
+    return { blobs: await surface.toBlobs(encoderOptions), width, height };
+  } finally {
+    surface.release();
+  }
+}
+
+/**
+ * Render a width label
+ * @param {string} text - Label text
+ * @param {number} width - Label width (physical pixels)
+ * @param {number} height - Label height (physical pixels)
+ * @param {number} dpr - Device pixel ratio
+ * @returns {OffscreenCanvas} Label canvas
+ */
+function createCompositeLabel(text, width, height, dpr) {
+  const canvas = new OffscreenCanvas(Math.max(1, width), height);
+  const ctx = canvas.getContext('2d');
+
+  ctx.fillStyle = COMPOSITE_LABEL_COLOR;
+  ctx.font = `600 ${Math.round(14 * dpr)}px -apple-system, "Segoe UI", sans-serif`;
+  ctx.textBaseline = 'middle';
+  ctx.fillText(text, 0, height / 2, width);
+
+  return canvas;
+}
@@ -0,0 +1,117 @@
+/**
+ * Element Snapper - DevTools Protocol capture engine
+ * Captures areas beyond the viewport in one shot with Page.captureScreenshot
+ * instead of scrolling the page tile by tile
+ */
+
+const DEBUGGER_PROTOCOL_VERSION = '1.3';
+
+// Attached tabs with a reference count, so nested captures share one session
+const debuggerSessions = new Map();
+
+/**
+ * Attach debugger to tab (or reuse an existing session)
+ * Throws when the tab cannot be debugged (DevTools open, restricted page)
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<void>}
+ */
+async function attachDebugger(tabId) {
+  const count = debuggerSessions.get(tabId) || 0;
+
+  if (count === 0) {
+    await chrome.debugger.attach({ tabId }, DEBUGGER_PROTOCOL_VERSION);
+  }
+
+  debuggerSessions.set(tabId, count + 1);
+}
+
+/**
+ * Release debugger session, detaching when the last user is done
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<void>}
+ */
+async function detachDebugger(tabId) {
+  const count = debuggerSessions.get(tabId) || 0;
+
+  if (count > 1) {
+    debuggerSessions.set(tabId, count - 1);
+    return;
+  }
+
+  debuggerSessions.delete(tabId);
+
+  try {
+    await chrome.debugger.detach({ tabId });
+  } catch (e) {
+    console.warn('Failed to detach debugger:', e);
+  }
+}
+
+/**
+ * Send a DevTools Protocol command to an attached tab
+ * @param {number} tabId - Tab ID
+ * @param {string} method - Protocol method, e.g. Page.captureScreenshot
+ * @param {object} params - Method parameters
+ * @returns {Promise<object>} Command result
+ */
+function sendDebuggerCommand(tabId, method, params = {}) {
+  return chrome.debugger.sendCommand({ tabId }, method, params);
+}
+
+// Forget sessions that end on their own (tab closed, user cancelled the infobar)
+chrome.debugger.onDetach.addListener((source) => {
+  debuggerSessions.delete(source.tabId);
+});
+
+/**
+ * Capture a document region with Page.captureScreenshot
+ * Debugger must already be attached (see attachDebugger)
+ *
+ * Clip is in CSS pixels relative to the document, not the viewport:
+ * with captureBeyondViewport the renderer lays out the whole page, so no
+ * scrolling is needed. Output is at device pixel ratio (scale: 1).
+ *
+ * Regions beyond the canvas limit are grabbed in chunks that each fit one
+ * segment, drawn onto the surface at their physical offset.
+ *
+ * @param {number} tabId - Tab ID
+ * @param {object} clip - Region with x, y, width, height (CSS pixels, document coordinates)
+ * @param {object} surface - Segmented canvas sized to the clip (physical pixels)
+ * @param {number} dpr - Device pixel ratio
+ * @returns {Promise<void>}
+ */
+async function captureWithDebugger(tabId, clip, surface, dpr) {
+  const chunkSize = Math.floor(MAX_CANVAS_DIMENSION / dpr);
+  const originX = Math.max(0, clip.x);
+  const originY = Math.max(0, clip.y);
+
+  console.log(`Debugger capture: ${clip.width}×${clip.height}px at (${clip.x}, ${clip.y})`);
+
+  for (let offsetY = 0; offsetY < clip.height; offsetY += chunkSize) {
+    for (let offsetX = 0; offsetX < clip.width; offsetX += chunkSize) {
+      const result = await sendDebuggerCommand(tabId, 'Page.captureScreenshot', {
+        format: 'png',
+        captureBeyondViewport: true,
+        fromSurface: true,
+        clip: {
+          x: originX + offsetX,
+          y: originY + offsetY,
+          width: Math.min(chunkSize, clip.width - offsetX),
+          height: Math.min(chunkSize, clip.height - offsetY),
+          scale: 1
+        }
+      });
+
+      const blob = await fetch(`data:image/png;base64,${result.data}`).then(r => r.blob());
+      const imageBitmap = await createImageBitmap(blob);
+
+      surface.drawImage(
+        imageBitmap,
+        0, 0, imageBitmap.width, imageBitmap.height,
+        Math.round(offsetX * dpr), Math.round(offsetY * dpr), imageBitmap.width, imageBitmap.height
+      );
+
+      imageBitmap.close();
+    }
+  }
+}
@@ -0,0 +1,25 @@
+/**
+ * Element Snapper - Image pixels
+ * Reads decoded images back as RGBA pixels, for visual compare and
+ * transparent backgrounds
+ */
+
+/**
+ * Decode image into RGBA pixels on a canvas of the given size
+ * Area outside the image stays transparent
+ * @param {ImageBitmap} imageBitmap - Image
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {Uint8ClampedArray} RGBA pixels
+ */
+function getImagePixels(imageBitmap, width, height) {
+  const canvas = new OffscreenCanvas(width, height);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(imageBitmap, 0, 0);
+
+  const pixels = ctx.getImageData(0, 0, width, height).data;
+  canvas.width = 0;
+  canvas.height = 0;
+
+  return pixels;
+}
@@ -0,0 +1,131 @@
+/**
+ * Element Snapper - PDF export
+ * Prints full pages and single elements to a vector PDF with the DevTools
+ * Protocol's Page.printToPDF, so text stays selectable and searchable
+ */
+
+// Paper sizes in inches (pdfPaperSize setting)
+const PDF_PAPER_SIZES = {
+  letter: { width: 8.5, height: 11 },
+  legal: { width: 8.5, height: 14 },
+  tabloid: { width: 11, height: 17 },
+  a3: { width: 11.69, height: 16.54 },
+  a4: { width: 8.27, height: 11.69 },
+  a5: { width: 5.83, height: 8.27 }
+};
+
+// Margin on every side in inches (pdfMargins setting)
+const PDF_MARGINS = {
+  none: 0,
+  narrow: 0.25,
+  default: 0.4,
+  wide: 1
+};
+
+// Page.printToPDF measures in inches, pages lay out in CSS pixels
+const CSS_PIXELS_PER_INCH = 96;
+
+/**
+ * Read PDF options from settings
+ * @param {object} settings - Settings with pdfPaperSize, pdfMargins, pdfBackground and pdfSinglePage
+ * @returns {object} Object with paper (inches), margin (inches), background and singlePage
+ */
+function getPdfOptions(settings) {
+  return {
+    paper: PDF_PAPER_SIZES[settings.pdfPaperSize] || PDF_PAPER_SIZES.letter,
+    margin: PDF_MARGINS[settings.pdfMargins] ?? PDF_MARGINS.default,
+    background: settings.pdfBackground ?? true,
+    singlePage: settings.pdfSinglePage ?? false
+  };
+}
+
+/**
+ * Print the page, or one element of it, to PDF
+ * Elements are isolated by print-only CSS in the content script (see
+ * isolateForPrint), so the PDF contains just that subtree. In single tall
+ * page mode the content is measured with print styles applied and the
+ * paper sized to fit it; otherwise wide elements are scaled down to the
+ * paper width.
+ * @param {number} tabId - Tab ID
+ * @param {string|null} selector - Element to print, null for the full page
+ * @param {object} data - Capture data from content script (rect for elements)
+ * @param {object} options - PDF options (see getPdfOptions)
+ * @returns {Promise<Blob>} PDF document
+ */
+async function printToPdf(tabId, selector, data, options) {
+  try {
+    await attachDebugger(tabId);
+  } catch (error) {
+    throw new Error(`PDF export needs the DevTools debugger: ${error.message}`);
+  }
+
+  let isolated = false;
+
+  try {
+    if (selector) {
+      const response = await chrome.tabs.sendMessage(tabId, { action: 'isolateForPrint', selector });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Element no longer on the page');
+      }
+      isolated = true;
+    }
+
+    const { margin } = options;
+    let { width: paperWidth, height: paperHeight } = options.paper;
+    let scale = 1;
+
+    if (options.singlePage) {
+      const size = await measurePrintLayout(tabId, !!selector);
+      paperWidth = size.width / CSS_PIXELS_PER_INCH + margin * 2;
+      // One pixel of slack keeps rounding from spilling onto a second page
+      paperHeight = (size.height + 1) / CSS_PIXELS_PER_INCH + margin * 2;
+    } else if (selector) {
+      const printableWidth = (paperWidth - margin * 2) * CSS_PIXELS_PER_INCH;
+      scale = Math.max(0.1, Math.min(1, printableWidth / data.rect.width));
+    }
+
+    console.log(`PDF export: ${paperWidth.toFixed(2)}×${paperHeight.toFixed(2)}in, scale ${scale.toFixed(2)}`);
+
+    const result = await sendDebuggerCommand(tabId, 'Page.printToPDF', {
+      printBackground: options.background,
+      paperWidth,
+      paperHeight,
+      marginTop: margin,
+      marginBottom: margin,
+      marginLeft: margin,
+      marginRight: margin,
+      scale,
+      pageRanges: options.singlePage ? '1' : '',
+      preferCSSPageSize: false
+    });
+
+    return await fetch(`data:application/pdf;base64,${result.data}`).then(r => r.blob());
+  } finally {
+    if (isolated) {
+      try {
+        await chrome.tabs.sendMessage(tabId, { action: 'restorePrint' });
+      } catch (e) {
+        console.warn('Failed to restore page after printing:', e);
+      }
+    }
+    await detachDebugger(tabId);
+  }
+}
+
+/**
+ * Measure the content as it will be printed
+ * Print media is emulated only for the measurement, so print stylesheets
+ * (and the element isolation) decide the size
+ * @param {number} tabId - Tab ID with the debugger attached
+ * @param {boolean} element - Measure the isolated element rather than the document
+ * @returns {Promise<object>} Object with width and height (CSS pixels)
+ */
+async function measurePrintLayout(tabId, element) {
+  await sendDebuggerCommand(tabId, 'Emulation.setEmulatedMedia', { media: 'print' });
+
+  try {
+    return await chrome.tabs.sendMessage(tabId, { action: 'measurePrintLayout', element });
+  } finally {
+    await sendDebuggerCommand(tabId, 'Emulation.setEmulatedMedia', { media: '' });
+  }
+}
@@ -0,0 +1,87 @@
+/**
+ * Element Snapper - Segmented canvas
+ * Drawing surface of any size, backed by OffscreenCanvas segments that each
+ * stay within the browser's canvas limit. Output larger than the limit is
+ * exported as consecutive parts instead of failing.
+ */
+
+// Browser canvas limit per side (physical pixels)
+const MAX_CANVAS_DIMENSION = 16384;
+
+/**
+ * Create a segmented drawing surface
+ * Segments are laid out row by row, so parts are numbered top to bottom,
+ * then left to right
+ * @param {number} width - Surface width (physical pixels)
+ * @param {number} height - Surface height (physical pixels)
+ * @returns {object} Surface with drawImage, toBlobs and release
+ */
+function createSegmentedCanvas(width, height) {
+  const segments = [];
+
+  for (let y = 0; y < height; y += MAX_CANVAS_DIMENSION) {
+    for (let x = 0; x < width; x += MAX_CANVAS_DIMENSION) {
+      const segmentWidth = Math.min(MAX_CANVAS_DIMENSION, width - x);
+      const segmentHeight = Math.min(MAX_CANVAS_DIMENSION, height - y);
+      const canvas = new OffscreenCanvas(segmentWidth, segmentHeight);
+
+      segments.push({
+        canvas,
+        ctx: canvas.getContext('2d'),
+        x,
+        y,
+        width: segmentWidth,
+        height: segmentHeight
+      });
+    }
+  }
+
+  if (segments.length > 1) {
+    console.log(`Output ${width}×${height}px exceeds ${MAX_CANVAS_DIMENSION}px, splitting into ${segments.length} parts`);
+  }
+
+  return {
+    width,
+    height,
+    segments,
+
+    /**
+     * Draw image region onto every segment it overlaps
+     * Same arguments as CanvasRenderingContext2D.drawImage (9-argument form),
+     * destination in surface coordinates
+     */
+    drawImage(image, sx, sy, sWidth, sHeight, dx, dy, dWidth, dHeight) {
+      segments.forEach(segment => {
+        const overlaps = dx < segment.x + segment.width && dx + dWidth > segment.x &&
+          dy < segment.y + segment.height && dy + dHeight > segment.y;
+
+        if (overlaps) {
+          segment.ctx.drawImage(
+            image,
+            sx, sy, sWidth, sHeight,
+            dx - segment.x, dy - segment.y, dWidth, dHeight
+          );
+        }
+      });
+    },
+
+    /**
+     * Encode every segment
+     * @param {object} options - convertToBlob options (type, quality)
+     * @returns {Promise<Blob[]>} One blob per segment
+     */
+    toBlobs(options) {
+      return Promise.all(segments.map(segment => segment.canvas.convertToBlob(options)));
+    },
+
+    /**
+     * Free canvas memory
+     */
+    release() {
+      segments.forEach(segment => {
+        segment.canvas.width = 0;
+        segment.canvas.height = 0;
+      });
+    }
+  };
+}
@@ -4,6 +4,8 @@
  * Uses capture+crop technique with DPR-aware math
  */
 
+importScripts('../lib/content_scripts.js', '../lib/image_formats.js', '../lib/capture_history.js', '../lib/filename_template.js', '../lib/breakpoints.js', '../lib/beautify_presets.js', 'debugger_capture.js', 'segmented_canvas.js', 'image_pixels.js', 'zip.js', 'breakpoint_composite.js', 'pdf_capture.js', 'transparency.js', 'beautify.js');
+
 /**
  * Message handler
  * Processes capture requests from content script
@@ -22,10 +24,265 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       .then(result => sendResponse(result))
       .catch(error => sendResponse({ success: false, error: error.message }));
 
+    return true; // Keep channel open for async response
+  } else if (message.action === 'captureBreakpoints') {
+    // Capture the selected element at several viewport widths
+    handleBreakpointCapture(message.data, sender.tab.id)
+      .then(result => sendResponse(result))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+
+    return true; // Keep channel open for async response
+  } else if (message.action === 'saveEditedCapture') {
+    // Annotated image from the editor page
+    handleEditedCapture(message.id, message.copied)
+      .then(result => sendResponse(result))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+
+    return true; // Keep channel open for async response
+  } else if (message.action === 'downloadHistoryEntry') {
+    // Re-download a capture from the popup's History tab
+    handleHistoryDownload(message.id)
+      .then(result => sendResponse(result))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+
+    return true; // Keep channel open for async response
+  } else if (message.action === 'saveHtmlSnapshot') {
+    // Download an element's HTML snapshot
+    handleHtmlSnapshot(message.data, message.html)
+      .then(result => sendResponse(result))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+
+    return true; // Keep channel open for async response
+  } else if (message.action === 'finishBatch') {
+    // Save the ZIP collected for a batch capture
+    handleBatchFinish(message.batchId)
+      .then(result => sendResponse(result))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+
+    return true; // Keep channel open for async response
+  } else if (message.action === 'runRecipe') {
+    // Run a saved recipe from the popup's Recipes tab (the popup closes meanwhile)
+    handleRecipeRun(message.recipe)
+      .then(result => sendResponse(result))
+      .catch(error => {
+        console.error(`Recipe "${message.recipe?.name}" failed:`, error);
+        sendResponse({ success: false, error: error.message });
+      });
+
     return true; // Keep channel open for async response
   }
 });
 
+// Content script actions for each keyboard shortcut (see "commands" in manifest.json)
+const COMMAND_ACTIONS = {
+  'select-element': 'startSelection',
+  'capture-viewport': 'captureViewport',
+  'capture-full-page': 'captureFullPage',
+  'repeat-last-capture': 'repeatCapture'
+};
+
+/**
+ * Keyboard shortcut handler
+ * Runs captures without opening the popup, so hover states and open menus
+ * on the page survive
+ */
+chrome.commands.onCommand.addListener((command, tab) => {
+  handleCommand(command, tab).catch(error => {
+    console.error(`Shortcut ${command} failed:`, error);
+  });
+});
+
+/**
+ * Dispatch a keyboard shortcut to the tab's content script
+ * @param {string} command - Command name from manifest.json
+ * @param {object} tab - Active tab when the shortcut was pressed
+ * @returns {Promise<void>}
+ */
+async function handleCommand(command, tab) {
+  const action = COMMAND_ACTIONS[command];
+  if (!action || !tab?.id) return;
+
+  const message = { action };
+  if (action === 'repeatCapture') {
+    const { lastCapture } = await chrome.storage.session.get('lastCapture');
+    message.capture = lastCapture || null;
+  }
+
+  await sendToTab(tab.id, message);
+}
+
+// Page contexts offering the capture menu entries
+const CONTEXT_MENU_CONTEXTS = ['page', 'frame', 'selection', 'link', 'editable', 'image', 'video', 'audio'];
+
+// Context menu entries and the content script message each one sends
+const CONTEXT_MENU_ITEMS = {
+  'snap-element': { title: 'Snap this element', message: { action: 'captureContextTarget', fullCapture: false } },
+  'snap-element-full': { title: 'Snap this element (full)', message: { action: 'captureContextTarget', fullCapture: true } },
+  'snap-viewport': { title: 'Snap visible area', message: { action: 'captureViewport' } },
+  'snap-full-page': { title: 'Snap full page', message: { action: 'captureFullPage' } }
+};
+
+/**
+ * Register context menu entries
+ * Menus persist across browser restarts, so they're only (re)created on install/update
+ */
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.removeAll(() => {
+    Object.entries(CONTEXT_MENU_ITEMS).forEach(([id, item]) => {
+      chrome.contextMenus.create({ id, title: item.title, contexts: CONTEXT_MENU_CONTEXTS });
+    });
+  });
+});
+
+/**
+ * Context menu handler
+ * The click grants activeTab, so the capture scripts are injected on demand;
+ * the right-clicked element (recorded by content/context_target.js, or
+ * found from the menu's URLs and selection on the first click) goes
+ * straight into the element capture flow, without hover selection
+ */
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  const item = CONTEXT_MENU_ITEMS[info.menuItemId];
+  if (!item || !tab?.id) return;
+
+  const message = {
+    ...item.message,
+    // Right-clicks inside frames aren't recorded; the frame element is captured instead
+    inFrame: info.frameId !== 0,
+    srcUrl: info.mediaType === 'image' ? info.srcUrl : null,
+    linkUrl: info.linkUrl || null,
+    editable: !!info.editable,
+    selectionText: info.selectionText || null
+  };
+
+  sendToTab(tab.id, message).catch(error => {
+    console.error(`Context menu ${info.menuItemId} failed:`, error);
+  });
+});
+
+/**
+ * Send message to a tab's content script, injecting it first if needed
+ * Shortcuts and context menu clicks grant activeTab, like a popup click does
+ * @param {number} tabId - Tab ID
+ * @param {object} message - Message for the content script
+ * @returns {Promise<object>} Content script response
+ */
+async function sendToTab(tabId, message) {
+  try {
+    await chrome.tabs.sendMessage(tabId, { action: 'ping' });
+  } catch (e) {
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      files: CONTENT_SCRIPT_FILES
+    });
+  }
+
+  return chrome.tabs.sendMessage(tabId, message);
+}
+
+/**
+ * Remember a capture for the "repeat last capture" shortcut and for
+ * saving as a recipe (popup Recipes tab)
+ * Kept for the browser session only
+ * @param {object} data - Capture data from content script
+ * @param {string} mode - Capture mode (element/viewport/fullpage/region)
+ * @param {string} format - Output format
+ * @returns {Promise<void>}
+ */
+async function rememberLastCapture(data, mode, format) {
+  await chrome.storage.session.set({
+    lastCapture: {
+      mode,
+      url: data.page?.url || null,
+      title: data.page?.title || null,
+      selector: data.elementInfo?.selector || null,
+      xpath: data.elementInfo?.xpath || null,
+      fullCapture: data.fullCapture ?? null,
+      format,
+      region: mode === 'region' ? getDocumentClip(data) : null
+    }
+  });
+}
+
+/**
+ * Run a capture recipe
+ * Opens the recipe's page (or switches to a tab already showing it) and
+ * lets the content script wait for the element and capture it
+ * @param {object} recipe - Recipe with name, url, selector, xpath, fullCapture and format
+ * @returns {Promise<object>} Result object with success status
+ */
+async function handleRecipeRun(recipe) {
+  if (!recipe?.url || !recipe.selector) {
+    throw new Error('Recipe has no page or element');
+  }
+
+  if (!(await chrome.permissions.contains(RECIPE_HOST_PERMISSIONS))) {
+    throw new Error('Recipes need access to your sites; run the recipe from the popup to allow it');
+  }
+
+  const tab = await openRecipeTab(recipe.url);
+  await sendToTab(tab.id, { action: 'captureRecipe', recipe });
+
+  return { success: true };
+}
+
+/**
+ * Find or open the tab for a recipe's page and wait until it has loaded
+ * The URL fragment is ignored when looking for an open tab
+ * @param {string} url - Page URL
+ * @returns {Promise<object>} Active, loaded tab
+ */
+async function openRecipeTab(url) {
+  const withoutHash = href => href.split('#')[0];
+  const tabs = await chrome.tabs.query({});
+  const existing = tabs.find(tab => tab.url && withoutHash(tab.url) === withoutHash(url));
+
+  let tab;
+  if (existing) {
+    tab = await chrome.tabs.update(existing.id, { active: true });
+    await chrome.windows.update(existing.windowId, { focused: true });
+  } else {
+    tab = await chrome.tabs.create({ url, active: true });
+  }
+
+  await waitForTabLoad(tab.id);
+  return tab;
+}
+
+/**
+ * Wait for a tab to finish loading
+ * @param {number} tabId - Tab ID
+ * @param {number} timeout - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function waitForTabLoad(tabId, timeout = 30000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      chrome.tabs.onUpdated.removeListener(onUpdated);
+      reject(new Error('Page did not finish loading'));
+    }, timeout);
+
+    function onUpdated(updatedTabId, changeInfo) {
+      if (updatedTabId === tabId && changeInfo.status === 'complete') {
+        clearTimeout(timer);
+        chrome.tabs.onUpdated.removeListener(onUpdated);
+        resolve();
+      }
+    }
+
+    chrome.tabs.onUpdated.addListener(onUpdated);
+
+    // Already loaded (existing tab)
+    chrome.tabs.get(tabId).then(tab => {
+      if (tab.status === 'complete') onUpdated(tabId, { status: 'complete' });
+    }, error => {
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(onUpdated);
+      reject(new Error(`Tab lookup failed: ${error.message}`));
+    });
+  });
+}
+
 /**
  * Handle viewport or full page capture
  * @param {object} data - Capture data from content script
@@ -35,17 +292,25 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 async function handleViewportOrPageCapture(data, tabId) {
   try {
     // Load settings
-    const settings = await chrome.storage.local.get(['format', 'quality', 'copyToClipboard']);
-    const outputFormat = settings.format || 'png';
-    const outputQuality = settings.quality || 95;
-    const copyToClipboard = settings.copyToClipboard || false;
+    const settings = await chrome.storage.local.get(['format', 'quality', 'qualityByFormat', 'copyToClipboard', 'captureEngine', 'splitOutput', 'reviewBeforeSave', 'filenameConflict', 'diffThreshold', 'diffAntiAliasing', ...PDF_SETTING_KEYS, ...BEAUTIFY_SETTING_KEYS]);
+    const { format: outputFormat, fallbackFrom } = await resolveImageFormat(settings.format);
+
+    // Full pages print to PDF; the viewport and regions stay images
+    if (data.captureMode === 'fullpage' && settings.pdfOutput && !settings.redactionEnabled) {
+      const result = await handlePdfCapture(data, tabId, 'fullpage', settings);
+      await rememberLastCapture(data, 'fullpage', outputFormat);
+      return result;
+    }
 
-    let captureBlob;
-    let filename;
+    const outputQuality = getFormatQuality(outputFormat, settings);
+    const captureEngine = settings.captureEngine || 'standard';
+
+    let captureBlobs;
+    let engine = 'standard';
 
     if (data.captureMode === 'viewport') {
       // Viewport capture - just capture visible area
-      const dataUrl = await chrome.tabs.captureVisibleTab(null, { format: 'png' });
+      const dataUrl = await captureVisibleArea();
 
       // Convert to blob with desired format/quality
       const response = await fetch(dataUrl);
@@ -56,48 +321,160 @@ async function handleViewportOrPageCapture(data, tabId) {
       const ctx = canvas.getContext('2d');
       ctx.drawImage(imageBitmap, 0, 0);
 
-      const mimeType = outputFormat === 'jpg' ? 'image/jpeg' : 'image/png';
-      const qualityParam = outputFormat === 'jpg' ? outputQuality / 100 : undefined;
-
-      captureBlob = await canvas.convertToBlob({
-        type: mimeType,
-        quality: qualityParam
-      });
+      captureBlobs = [await canvas.convertToBlob(getEncoderOptions(outputFormat, outputQuality))];
 
       imageBitmap.close();
       canvas.width = 0;
       canvas.height = 0;
 
-      filename = generateViewportFilename('viewport', outputFormat);
     } else if (data.captureMode === 'fullpage') {
-      // Full page capture - use multi-tile capture
-      captureBlob = await captureFullPage(data, tabId, outputFormat, outputQuality);
-      filename = generateViewportFilename('fullpage', outputFormat);
+      // Full page capture - one debugger shot or multi-tile capture
+      const clip = {
+        x: 0,
+        y: 0,
+        width: data.documentDimensions.width,
+        height: data.documentDimensions.height
+      };
+
+      ({ blobs: captureBlobs, engine } = await captureLargeArea(
+        captureEngine, tabId, clip, data, outputFormat, outputQuality,
+        () => captureFullPage(data, tabId, outputFormat, outputQuality)
+      ));
+    } else if (data.captureMode === 'region') {
+      // Selected portion - single crop when it fits the viewport,
+      // otherwise tiled stitching like a full element capture
+      const fitsViewport = data.rect.width <= data.viewport.width &&
+        data.rect.height <= data.viewport.height;
+
+      if (fitsViewport) {
+        const dataUrl = await captureVisibleArea();
+        captureBlobs = await cropImageToElement(dataUrl, data, outputFormat, outputQuality);
+      } else {
+        ({ blobs: captureBlobs, engine } = await captureLargeArea(
+          captureEngine, tabId, getDocumentClip(data), data, outputFormat, outputQuality,
+          () => captureFullElement(data, tabId, outputFormat, outputQuality)
+        ));
+      }
+
     } else {
       throw new Error('Invalid capture mode');
     }
 
-    // Save to downloads or copy to clipboard based on settings
-    if (copyToClipboard) {
-      await copyImageToClipboard(captureBlob);
-      return { success: true, action: 'copy' };
-    } else {
-      await downloadImage(captureBlob, filename);
-      return { success: true, action: 'download' };
-    }
+    // Save to downloads, copy to clipboard or open in the editor based on settings
+    const filename = await generateFilename(data, data.captureMode, outputFormat);
+    const result = await deliverCapture(captureBlobs, data, {
+      mode: data.captureMode, filename, format: outputFormat, quality: outputQuality
+    }, settings);
+    await rememberLastCapture(data, data.captureMode, outputFormat);
+    const pdfSkipped = data.captureMode === 'fullpage' && !!settings.pdfOutput;
+    return { success: true, ...result, engine, formatFallback: fallbackFrom && getImageFormat(fallbackFrom).label, pdfSkipped };
   } catch (error) {
     console.error('Capture failed:', error);
     return { success: false, error: error.message };
   }
 }
 
+/**
+ * Capture an area larger than the viewport with the configured engine
+ * The debugger engine grabs it in one shot; when the debugger cannot be
+ * attached (DevTools open, restricted page) it falls back to stitching
+ * @param {string} captureEngine - Engine from settings (standard/debugger)
+ * @param {number} tabId - Tab ID for capturing
+ * @param {object} clip - Area in document coordinates (CSS pixels)
+ * @param {object} data - Capture data from content script
+ * @param {string} format - Output format (see IMAGE_FORMATS)
+ * @param {number} quality - Output quality (1-100), lossy formats only
+ * @param {Function} stitch - Scroll-and-stitch capture used as fallback
+ * @returns {Promise<object>} Captured parts and the engine that produced them
+ */
+async function captureLargeArea(captureEngine, tabId, clip, data, format, quality, stitch) {
+  if (captureEngine !== 'debugger') {
+    return { blobs: await stitch(), engine: 'standard' };
+  }
+
+  try {
+    await attachDebugger(tabId);
+  } catch (error) {
+    console.warn('Debugger unavailable, falling back to stitching:', error.message);
+    return { blobs: await stitch(), engine: 'standard' };
+  }
+
+  try {
+    const blobs = await captureClipWithDebugger(tabId, clip, data.devicePixelRatio, getEncoderOptions(format, quality));
+    return { blobs, engine: 'debugger' };
+  } finally {
+    await detachDebugger(tabId);
+  }
+}
+
+/**
+ * Capture an area in one shot with an attached debugger
+ * @param {number} tabId - Tab ID with the debugger attached
+ * @param {object} clip - Area in document coordinates (CSS pixels)
+ * @param {number} dpr - Device pixel ratio
+ * @param {object} encoderOptions - convertToBlob options (see getEncoderOptions)
+ * @returns {Promise<Blob[]>} Captured image, in parts when over the canvas limit
+ */
+async function captureClipWithDebugger(tabId, clip, dpr, encoderOptions) {
+  const surface = createSegmentedCanvas(Math.round(clip.width * dpr), Math.round(clip.height * dpr));
+
+  try {
+    await captureWithDebugger(tabId, clip, surface, dpr);
+    return await surface.toBlobs(encoderOptions);
+  } finally {
+    surface.release();
+  }
+}
+
+// Chrome allows about two captureVisibleTab calls per second
+const VISIBLE_CAPTURE_INTERVAL = 600;
+let lastVisibleCapture = 0;
+
+/**
+ * Capture the visible area of the active tab as PNG
+ * Consecutive captures (tiles, batch elements one after another) are
+ * spaced out for Chrome's rate limit, and one is retried if Chrome still
+ * reports it exceeded
+ * @returns {Promise<string>} PNG data URL
+ */
+async function captureVisibleArea() {
+  for (let attempt = 0; ; attempt++) {
+    const wait = lastVisibleCapture + VISIBLE_CAPTURE_INTERVAL - Date.now();
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+    lastVisibleCapture = Date.now();
+
+    try {
+      return await chrome.tabs.captureVisibleTab(null, { format: 'png' });
+    } catch (error) {
+      if (attempt > 0 || !error.message?.includes('MAX_CAPTURE_VISIBLE_TAB_CALLS_PER_SECOND')) throw error;
+      console.warn('Capture rate limit reached, retrying');
+    }
+  }
+}
+
+/**
+ * Convert viewport-relative capture rect to document coordinates
+ * @param {object} data - Capture data with rect and scroll
+ * @returns {object} Clip with x, y, width, height (CSS pixels)
+ */
+function getDocumentClip(data) {
+  return {
+    x: data.scroll.x + data.rect.x,
+    y: data.scroll.y + data.rect.y,
+    width: data.rect.width,
+    height: data.rect.height
+  };
+}
+
 /**
  * Capture full page using multi-capture stitching
  * @param {object} data - Capture data from content script
  * @param {number} tabId - Tab ID for capturing
- * @param {string} format - Output format (png/jpg)
- * @param {number} quality - Output quality (1-100)
- * @returns {Promise<Blob>} Stitched full page image
+ * @param {string} format - Output format (see IMAGE_FORMATS)
+ * @param {number} quality - Output quality (1-100), lossy formats only
+ * @returns {Promise<Blob[]>} Stitched full page image, in parts when over the canvas limit
  */
 async function captureFullPage(data, tabId, format, quality) {
   const { documentDimensions, viewport, devicePixelRatio: dpr } = data;
@@ -108,23 +485,18 @@ async function captureFullPage(data, tabId, format, quality) {
 
   console.log(`Full page capture: ${tilesX}×${tilesY} tiles for ${documentDimensions.width}×${documentDimensions.height}px page`);
 
-  // Validate final canvas size
+  // Create final surface for stitching (split into parts past the canvas limit)
   const finalWidth = Math.round(documentDimensions.width * dpr);
   const finalHeight = Math.round(documentDimensions.height * dpr);
-  const MAX_DIMENSION = 16384;
-
-  if (finalWidth > MAX_DIMENSION || finalHeight > MAX_DIMENSION) {
-    throw new Error(`Page too large: ${finalWidth}×${finalHeight}px exceeds max ${MAX_DIMENSION}px`);
-  }
-
-  // Create final canvas for stitching
-  const finalCanvas = new OffscreenCanvas(finalWidth, finalHeight);
-  const finalCtx = finalCanvas.getContext('2d');
+  const surface = createSegmentedCanvas(finalWidth, finalHeight);
 
   try {
     // Hide scrollbars before capturing tiles
     await chrome.tabs.sendMessage(tabId, { action: 'hideScrollbars' });
 
+    // Keep fixed/sticky headers from repeating in every row
+    await chrome.tabs.sendMessage(tabId, { action: 'prepareFixedElements' });
+
     // Track cumulative Y position to avoid rounding gaps
     let cumulativeY = 0;
 
@@ -134,6 +506,13 @@ async function captureFullPage(data, tabId, format, quality) {
       const rowHeight = Math.min(viewport.height, documentDimensions.height - (tileY * viewport.height));
       const rowHeightPhysical = Math.ceil(rowHeight * dpr);
 
+      // Top-anchored fixed elements only in the first row, bottom-anchored only in the last
+      await chrome.tabs.sendMessage(tabId, {
+        action: 'updateFixedElements',
+        firstRow: tileY === 0,
+        lastRow: tileY === tilesY - 1
+      });
+
       for (let tileX = 0; tileX < tilesX; tileX++) {
         // Calculate scroll position for this tile
         const targetScrollX = tileX * viewport.width;
@@ -165,7 +544,7 @@ async function captureFullPage(data, tabId, format, quality) {
         await new Promise(resolve => setTimeout(resolve, 600));
 
         // Capture visible tab at this scroll position
-        const dataUrl = await chrome.tabs.captureVisibleTab(null, { format: 'png' });
+        const dataUrl = await captureVisibleArea();
         const blob = await fetch(dataUrl).then(r => r.blob());
         const imageBitmap = await createImageBitmap(blob);
 
@@ -189,7 +568,7 @@ async function captureFullPage(data, tabId, format, quality) {
 
         // Validate and draw
         if (sx >= 0 && sy >= 0 && sx + sWidth <= imageBitmap.width && sy + sHeight <= imageBitmap.height) {
-          finalCtx.drawImage(
+          surface.drawImage(
             imageBitmap,
             sx, sy, sWidth, sHeight,
             dx, dy, dWidth, dHeight
@@ -202,7 +581,7 @@ async function captureFullPage(data, tabId, format, quality) {
           const clampedHeight = Math.min(sHeight, imageBitmap.height - clampedSY);
 
           if (clampedWidth > 0 && clampedHeight > 0) {
-            finalCtx.drawImage(
+            surface.drawImage(
               imageBitmap,
               clampedSX, clampedSY, clampedWidth, clampedHeight,
               dx, dy, dWidth, dHeight
@@ -216,27 +595,20 @@ async function captureFullPage(data, tabId, format, quality) {
       cumulativeY += rowHeightPhysical;
     }
 
-    // Convert final canvas to blob
-    const mimeType = format === 'jpg' ? 'image/jpeg' : 'image/png';
-    const qualityParam = format === 'jpg' ? quality / 100 : undefined;
-
-    const stitchedBlob = await finalCanvas.convertToBlob({
-      type: mimeType,
-      quality: qualityParam
-    });
-
-    // Cleanup
-    finalCanvas.width = 0;
-    finalCanvas.height = 0;
+    // Convert final surface to blobs (one per part)
+    const stitchedBlobs = await surface.toBlobs(getEncoderOptions(format, quality));
 
     console.log(`Full page capture complete: ${finalWidth}×${finalHeight}px`);
 
-    return stitchedBlob;
+    return stitchedBlobs;
 
   } finally {
-    // Always restore scrollbars
+    surface.release();
+
+    // Always restore scrollbars and fixed/sticky elements
     try {
       await chrome.tabs.sendMessage(tabId, { action: 'showScrollbars' });
+      await chrome.tabs.sendMessage(tabId, { action: 'restoreFixedElements' });
       // Scroll back to top
       await chrome.tabs.sendMessage(tabId, { action: 'scrollToPosition', x: 0, y: 0 });
     } catch (e) {
@@ -245,23 +617,6 @@ async function captureFullPage(data, tabId, format, quality) {
   }
 }
 
-/**
- * Generate filename for viewport/fullpage screenshots
- * @param {string} mode - Capture mode (viewport/fullpage)
- * @param {string} format - File format
- * @returns {string} Filename
- */
-function generateViewportFilename(mode, format) {
-  const timestamp = new Date().toISOString()
-    .replace(/[:.]/g, '-')
-    .replace('T', '_')
-    .substring(0, 19);
-
-  const ext = format === 'jpg' ? 'jpg' : 'png';
-
-  return `screenshot_${mode}_${timestamp}.${ext}`;
-}
-
 /**
  * Main capture handler
  * Orchestrates screenshot capture, crop, and download
@@ -272,76 +627,340 @@ function generateViewportFilename(mode, format) {
 async function handleElementCapture(data, tabId) {
   try {
     // Load settings
-    const settings = await chrome.storage.local.get(['format', 'quality', 'fullCapture', 'copyToClipboard']);
-    const outputFormat = settings.format || 'png';
-    const outputQuality = settings.quality || 95;
-    const fullCapture = settings.fullCapture || false;
-    const copyToClipboard = settings.copyToClipboard || false;
+    const settings = await chrome.storage.local.get(['format', 'quality', 'qualityByFormat', 'fullCapture', 'copyToClipboard', 'captureEngine', 'splitOutput', 'reviewBeforeSave', 'filenameConflict', 'diffThreshold', 'diffAntiAliasing', 'batchOutput', 'transparentBackground', ...PDF_SETTING_KEYS, ...BEAUTIFY_SETTING_KEYS]);
+    const transparent = settings.transparentBackground || false;
+    // Recipes carry their own format; JPG has no alpha channel, so
+    // transparent captures save as PNG instead
+    const requestedFormat = data.format || settings.format;
+    const { format: outputFormat, fallbackFrom } = await resolveImageFormat(transparent && requestedFormat === 'jpg' ? 'png' : requestedFormat);
+
+    // Batches always save images
+    if (settings.pdfOutput && !settings.redactionEnabled && !data.batch) {
+      const result = await handlePdfCapture(data, tabId, 'element', settings);
+      await rememberLastCapture(data, 'element', outputFormat);
+      return result;
+    }
+
+    const outputQuality = getFormatQuality(outputFormat, settings);
+    // Context menu captures decide per capture
+    const fullCapture = data.fullCapture ?? settings.fullCapture ?? false;
+    const captureEngine = settings.captureEngine || 'standard';
 
     // Determine if multi-capture is needed
+    // Scroll containers always need it to reveal their hidden content
     const needsMultiCapture = fullCapture && (
+      !!data.scrollContainer ||
       data.rect.width > data.viewport.width ||
       data.rect.height > data.viewport.height
     );
 
-    let croppedBlob;
-    if (needsMultiCapture) {
-      croppedBlob = await captureFullElement(data, tabId, outputFormat, outputQuality);
-    } else {
+    // One capture pass in the given format
+    const capture = async (format) => {
+      if (needsMultiCapture) {
+        // The debugger can't reveal content hidden inside a scroll container,
+        // so those are always stitched
+        return captureLargeArea(
+          data.scrollContainer ? 'standard' : captureEngine,
+          tabId, getDocumentClip(data), data, format, outputQuality,
+          () => captureFullElement(data, tabId, format, outputQuality)
+        );
+      }
+
       // Use existing single-capture logic
-      const dataUrl = await chrome.tabs.captureVisibleTab(null, { format: 'png' });
-      croppedBlob = await cropImageToElement(dataUrl, data, outputFormat, outputQuality);
-    }
+      const dataUrl = await captureVisibleArea();
+      return { blobs: await cropImageToElement(dataUrl, data, format, outputQuality), engine: 'standard' };
+    };
 
-    // Save to downloads or copy to clipboard based on settings
-    // Save to downloads or copy to clipboard based on settings
-    if (copyToClipboard) {
-      await copyImageToClipboard(croppedBlob);
-      return { success: true, action: 'copy' };
-    } else {
-      const filename = generateFilename(data.elementInfo, outputFormat);
-      await downloadImage(croppedBlob, filename);
-      return { success: true, action: 'download' };
+    const { blobs: croppedBlobs, engine } = transparent
+      ? await captureTransparentElement(data, tabId, outputFormat, outputQuality, capture)
+      : await capture(outputFormat);
+
+    const filename = await generateFilename(data, 'element', outputFormat);
+    const details = { mode: 'element', filename, format: outputFormat, quality: outputQuality };
+
+    // Batch captures are numbered and saved (or collected for one ZIP) directly
+    if (data.batch) {
+      const result = await saveBatchCapture(croppedBlobs, data, details, settings);
+      return { success: true, ...result, engine, formatFallback: fallbackFrom && getImageFormat(fallbackFrom).label };
     }
+
+    // Save to downloads, copy to clipboard or open in the editor based on settings
+    const result = await deliverCapture(croppedBlobs, data, details, settings);
+    await rememberLastCapture(data, 'element', outputFormat);
+    return { success: true, ...result, engine, formatFallback: fallbackFrom && getImageFormat(fallbackFrom).label, pdfSkipped: !!settings.pdfOutput };
   } catch (error) {
     console.error('Capture failed:', error);
     return { success: false, error: error.message };
   }
 }
 
+/**
+ * Capture an element with a transparent background
+ * The element is captured twice, isolated over a white and then a black
+ * backdrop, and the two passes are combined into one image with alpha
+ * (see extractTransparency)
+ * @param {object} data - Capture data from content script, with elementInfo.selector
+ * @param {number} tabId - Tab ID for capturing
+ * @param {string} format - Output format (see IMAGE_FORMATS)
+ * @param {number} quality - Output quality (1-100), lossy formats only
+ * @param {Function} capture - Runs one capture pass in a given format, resolves to blobs and engine
+ * @returns {Promise<object>} Captured parts and the engine that produced them
+ */
+async function captureTransparentElement(data, tabId, format, quality, capture) {
+  const isolated = await chrome.tabs.sendMessage(tabId, {
+    action: 'isolateBackdrop',
+    selector: data.elementInfo.selector,
+    color: MATTE_BACKDROPS.white
+  });
+  if (!isolated?.success) {
+    throw new Error(isolated?.error || 'Element no longer on the page');
+  }
+
+  let white;
+  let black;
+  try {
+    // Both passes stay lossless until the result is encoded
+    white = await capture('png');
+
+    await chrome.tabs.sendMessage(tabId, { action: 'setBackdropColor', color: MATTE_BACKDROPS.black });
+    if (white.engine === 'standard') {
+      // Chrome's capture rate limit
+      await new Promise(resolve => setTimeout(resolve, 600));
+    }
+
+    black = await capture('png');
+  } finally {
+    await chrome.tabs.sendMessage(tabId, { action: 'restoreBackdrop' });
+  }
+
+  if (white.blobs.length !== black.blobs.length) {
+    throw new Error('Transparency failed: the element changed size between captures');
+  }
+
+  const encoderOptions = getEncoderOptions(format, quality);
+  const blobs = [];
+  for (let i = 0; i < white.blobs.length; i++) {
+    blobs.push(await extractTransparency(white.blobs[i], black.blobs[i], encoderOptions));
+  }
+
+  return { blobs, engine: white.engine };
+}
+
+// Settings read by captures that may print to PDF
+// Redaction covers pixels on screen, not the text a PDF contains, so
+// captures with Redact enabled stay images
+const PDF_SETTING_KEYS = ['pdfOutput', 'pdfPaperSize', 'pdfMargins', 'pdfBackground', 'pdfSinglePage', 'redactionEnabled'];
+
+/**
+ * Save a full page or element as PDF (PDF setting)
+ * Named by the filename template like an image capture, with .pdf. The
+ * clipboard only holds images, so PDFs are always downloaded; they skip
+ * the editor, history and baseline comparison.
+ * @param {object} data - Capture data from content script
+ * @param {number} tabId - Tab ID to print
+ * @param {string} mode - Capture mode (element/fullpage)
+ * @param {object} settings - Settings with the PDF options, copyToClipboard and filenameConflict
+ * @returns {Promise<object>} Result object with success status
+ */
+async function handlePdfCapture(data, tabId, mode, settings) {
+  const selector = mode === 'element' ? data.elementInfo.selector : null;
+  const blob = await printToPdf(tabId, selector, data, getPdfOptions(settings));
+  const filename = (await generateFilename(data, mode, 'png')).replace(/\.[^.]+$/, '.pdf');
+
+  if (settings.copyToClipboard) {
+    console.warn('The clipboard holds images only, downloading the PDF instead');
+  }
+
+  const result = await saveCapture([blob], filename, { ...settings, copyToClipboard: false });
+  return { success: true, ...result, engine: 'debugger', pdf: true };
+}
+
+/**
+ * Save an element's HTML snapshot
+ * Named by the filename template like an image capture, with .html
+ * @param {object} data - Capture data from content script (rect, elementInfo, page)
+ * @param {string} html - Standalone HTML document
+ * @returns {Promise<object>} Result object with success status
+ */
+async function handleHtmlSnapshot(data, html) {
+  const settings = await chrome.storage.local.get(['filenameConflict']);
+  const filename = (await generateFilename(data, 'element', 'png')).replace(/\.[^.]+$/, '.html');
+
+  await downloadImage(new Blob([html], { type: 'text/html' }), filename, settings.filenameConflict || 'uniquify');
+
+  return { success: true, action: 'download', filename };
+}
+
+/**
+ * Responsive breakpoint capture
+ * Resizes the tab's viewport to each configured width with
+ * Emulation.setDeviceMetricsOverride, finds the element again by selector
+ * and captures it with the DevTools engine. Saves one file per width or a
+ * single side-by-side composite (breakpointOutput setting).
+ * @param {object} data - Capture data from content script, with elementInfo.selector
+ * @param {number} tabId - Tab ID for capturing
+ * @returns {Promise<object>} Result object with success status
+ */
+async function handleBreakpointCapture(data, tabId) {
+  try {
+    // Load settings
+    const settings = await chrome.storage.local.get(['format', 'quality', 'qualityByFormat', 'copyToClipboard', 'splitOutput', 'reviewBeforeSave', 'filenameConflict', 'diffThreshold', 'diffAntiAliasing', 'breakpointWidths', 'breakpointOutput', ...BEAUTIFY_SETTING_KEYS]);
+    const { format: outputFormat, fallbackFrom } = await resolveImageFormat(settings.format);
+    const outputQuality = getFormatQuality(outputFormat, settings);
+    const widths = parseBreakpointWidths(settings.breakpointWidths);
+    const composite = settings.breakpointOutput === 'composite';
+
+    try {
+      await attachDebugger(tabId);
+    } catch (error) {
+      throw new Error(`Breakpoint capture needs the DevTools debugger: ${error.message}`);
+    }
+
+    const captures = [];
+    const engines = new Set();
+    try {
+      for (const width of widths) {
+        // deviceScaleFactor 0 keeps the display's pixel ratio
+        await sendDebuggerCommand(tabId, 'Emulation.setDeviceMetricsOverride', {
+          width,
+          height: data.viewport.height,
+          deviceScaleFactor: 0,
+          mobile: false
+        });
+
+        const measured = await chrome.tabs.sendMessage(tabId, { action: 'measureElement', selector: data.elementInfo.selector });
+        if (!measured) {
+          console.warn(`Element not visible at ${width}px, skipping`);
+          continue;
+        }
+
+        // Composite parts stay lossless until the composite itself is encoded
+        // The scroll container measured at the original width doesn't apply here
+        const widthData = { ...data, ...measured, scrollContainer: null };
+        const { blobs, engine } = await captureBreakpointElement(
+          tabId, widthData, composite ? 'png' : outputFormat, outputQuality
+        );
+        engines.add(engine);
+
+        const size = getCaptureSize(widthData, 'element');
+        captures.push({ width, blobs, data: widthData, imageWidth: size.width, imageHeight: size.height });
+      }
+    } finally {
+      // Restore the tab's own viewport before letting go of the debugger
+      try {
+        await sendDebuggerCommand(tabId, 'Emulation.clearDeviceMetricsOverride');
+      } catch (e) {
+        console.warn('Failed to clear device metrics override:', e);
+      }
+      await detachDebugger(tabId);
+    }
+
+    if (captures.length === 0) {
+      throw new Error('Element not visible at any breakpoint');
+    }
+
+    const filename = await generateFilename(data, 'element', outputFormat);
+    const formatFallback = fallbackFrom && getImageFormat(fallbackFrom).label;
+    const engine = engines.has('standard') ? 'standard' : 'debugger';
+    await rememberLastCapture(data, 'element', outputFormat);
+
+    if (composite) {
+      const dpr = data.devicePixelRatio;
+      const { blobs, width, height } = await createBreakpointComposite(captures, dpr, getEncoderOptions(outputFormat, outputQuality));
+
+      // History shows the composite's size, not the element's
+      const compositeData = { ...data, rect: { ...data.rect, width: width / dpr, height: height / dpr } };
+      const result = await deliverCapture(blobs, compositeData, {
+        mode: 'element', filename, format: outputFormat, quality: outputQuality, composite: true
+      }, settings);
+      return { success: true, ...result, engine, breakpoints: captures.length, composite: true, formatFallback };
+    }
+
+    // One download per width; a batch never goes to the clipboard or editor
+    let parts = 0;
+    for (const capture of captures) {
+      const widthFilename = getBreakpointFilename(filename, capture.width);
+      const details = { mode: 'element', filename: widthFilename, format: outputFormat, quality: outputQuality };
+      const blobs = await frameCapture(capture.blobs, capture.data, details, settings);
+      const result = await saveCapture(blobs, widthFilename, { ...settings, copyToClipboard: false });
+      await recordCapture(blobs, capture.data, { ...details, baselineParts: capture.blobs });
+      parts += result.parts;
+    }
+
+    return { success: true, action: 'download', parts, engine, breakpoints: captures.length, formatFallback };
+  } catch (error) {
+    console.error('Breakpoint capture failed:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Capture the element at one breakpoint width
+ * The debugger is already attached for the emulation, so the element is
+ * captured in one shot; when that fails it is cropped from the visible
+ * area, or stitched when it doesn't fit the emulated viewport
+ * @param {number} tabId - Tab ID with the debugger attached
+ * @param {object} data - Capture data measured at this width
+ * @param {string} format - Output format (see IMAGE_FORMATS)
+ * @param {number} quality - Output quality (1-100), lossy formats only
+ * @returns {Promise<object>} Captured blobs and the engine that produced them
+ */
+async function captureBreakpointElement(tabId, data, format, quality) {
+  try {
+    const blobs = await captureClipWithDebugger(tabId, getDocumentClip(data), data.devicePixelRatio, getEncoderOptions(format, quality));
+    return { blobs, engine: 'debugger' };
+  } catch (error) {
+    console.warn('Debugger capture failed, falling back to stitching:', error.message);
+  }
+
+  const { rect, viewport } = data;
+  const visible = rect.x >= 0 && rect.y >= 0 &&
+    rect.x + rect.width <= viewport.width && rect.y + rect.height <= viewport.height;
+
+  if (visible) {
+    const dataUrl = await captureVisibleArea();
+    return { blobs: await cropImageToElement(dataUrl, data, format, quality), engine: 'standard' };
+  }
+
+  return { blobs: await captureFullElement(data, tabId, format, quality), engine: 'standard' };
+}
+
 /**
  * Capture full element using multi-capture stitching
  * Tiles viewport captures to cover entire element
  * @param {object} data - Capture data from content script
  * @param {number} tabId - Tab ID for capturing
- * @param {string} format - Output format (png/jpg)
- * @param {number} quality - Output quality (1-100)
- * @returns {Promise<Blob>} Stitched element image
+ * @param {string} format - Output format (see IMAGE_FORMATS)
+ * @param {number} quality - Output quality (1-100), lossy formats only
+ * @returns {Promise<Blob[]>} Stitched element image, in parts when over the canvas limit
  */
 async function captureFullElement(data, tabId, format, quality) {
-  const { rect, scroll, viewport, devicePixelRatio: dpr, debugMode } = data;
-
-  // Element absolute position on page
-  const elementAbsX = scroll.x + rect.x;
-  const elementAbsY = scroll.y + rect.y;
+  const { rect, scroll, viewport, devicePixelRatio: dpr, debugMode, scrollContainer } = data;
+
+  // What the tiles scroll: the window, or the element's own scroll container
+  // - region: area to capture, in the scroll target's coordinates
+  // - frame: part of the viewport that shows the scroll target's content
+  // - origin: viewport position of the scroll target's content at scroll (0, 0)
+  const { region, frame, origin } = scrollContainer || {
+    region: { x: scroll.x + rect.x, y: scroll.y + rect.y, width: rect.width, height: rect.height },
+    frame: { x: 0, y: 0, width: viewport.width, height: viewport.height },
+    origin: { x: 0, y: 0 }
+  };
+
+  // Element absolute position in the scroll target
+  const elementAbsX = region.x;
+  const elementAbsY = region.y;
 
   // Calculate tile grid
-  const tilesX = Math.ceil(rect.width / viewport.width);
-  const tilesY = Math.ceil(rect.height / viewport.height);
+  const tilesX = Math.ceil(region.width / frame.width);
+  const tilesY = Math.ceil(region.height / frame.height);
 
-  console.log(`Multi-capture: ${tilesX}×${tilesY} tiles for ${rect.width}×${rect.height}px element`);
+  console.log(`Multi-capture: ${tilesX}×${tilesY} tiles for ${region.width}×${region.height}px element${scrollContainer ? ' (scroll container)' : ''}`);
 
-  // Validate final canvas size
-  const finalWidth = Math.round(rect.width * dpr);
-  const finalHeight = Math.round(rect.height * dpr);
-  const MAX_DIMENSION = 16384;
-  if (finalWidth > MAX_DIMENSION || finalHeight > MAX_DIMENSION) {
-    throw new Error(`Element too large: ${finalWidth}×${finalHeight}px exceeds max ${MAX_DIMENSION}px`);
-  }
-
-  // Create final canvas for stitching
-  const finalCanvas = new OffscreenCanvas(finalWidth, finalHeight);
-  const finalCtx = finalCanvas.getContext('2d');
+  // Create final surface for stitching (split into parts past the canvas limit)
+  const finalWidth = Math.round(region.width * dpr);
+  const finalHeight = Math.round(region.height * dpr);
+  const surface = createSegmentedCanvas(finalWidth, finalHeight);
 
   try {
     // Hide scrollbars before capturing tiles
@@ -353,19 +972,24 @@ async function captureFullElement(data, tabId, format, quality) {
     // Capture each tile
     for (let tileY = 0; tileY < tilesY; tileY++) {
       // Calculate row height for this row (needed for cumulative positioning)
-      const rowHeight = Math.min(viewport.height, rect.height - (tileY * viewport.height));
+      const rowHeight = Math.min(frame.height, region.height - (tileY * frame.height));
       const rowHeightPhysical = Math.ceil(rowHeight * dpr);
 
       for (let tileX = 0; tileX < tilesX; tileX++) {
-        // Calculate scroll position for this tile
-        const targetScrollX = elementAbsX + (tileX * viewport.width);
-        const targetScrollY = elementAbsY + (tileY * viewport.height);
+        // Calculate absolute position of the region we want to capture
+        const regionAbsX = elementAbsX + (tileX * frame.width);
+        const regionAbsY = elementAbsY + (tileY * frame.height);
+
+        // Calculate scroll position that brings this region to the frame's top-left
+        const targetScrollX = origin.x + regionAbsX - frame.x;
+        const targetScrollY = origin.y + regionAbsY - frame.y;
 
         console.log(`Capturing tile (${tileX},${tileY}): scrolling to (${targetScrollX}, ${targetScrollY})`);
 
         // Request content script to scroll
         const scrollResponse = await chrome.tabs.sendMessage(tabId, {
           action: 'scrollToPosition',
+          target: scrollContainer ? 'container' : 'window',
           x: targetScrollX,
           y: targetScrollY
         });
@@ -377,21 +1001,17 @@ async function captureFullElement(data, tabId, format, quality) {
 
         // Calculate visible element size in this tile
         const visibleWidth = Math.min(
-          viewport.width,
-          rect.width - (tileX * viewport.width)
+          frame.width,
+          region.width - (tileX * frame.width)
         );
         const visibleHeight = Math.min(
-          viewport.height,
-          rect.height - (tileY * viewport.height)
+          frame.height,
+          region.height - (tileY * frame.height)
         );
 
-        // Calculate absolute position of the region we want to capture
-        const regionAbsX = elementAbsX + (tileX * viewport.width);
-        const regionAbsY = elementAbsY + (tileY * viewport.height);
-
         // Calculate where this tile appears in viewport for debug visualization
-        const tileViewportX = regionAbsX - actualScrollX;
-        const tileViewportY = regionAbsY - actualScrollY;
+        const tileViewportX = origin.x + regionAbsX - actualScrollX;
+        const tileViewportY = origin.y + regionAbsY - actualScrollY;
         const tileViewportWidth = Math.min(visibleWidth, viewport.width - tileViewportX);
         const tileViewportHeight = Math.min(visibleHeight, viewport.height - tileViewportY);
 
@@ -412,14 +1032,14 @@ async function captureFullElement(data, tabId, format, quality) {
         await new Promise(resolve => setTimeout(resolve, debugMode ? 1200 : 600));
 
         // Capture visible tab at this scroll position
-        const dataUrl = await chrome.tabs.captureVisibleTab(null, { format: 'png' });
+        const dataUrl = await captureVisibleArea();
         const blob = await fetch(dataUrl).then(r => r.blob());
         const imageBitmap = await createImageBitmap(blob);
 
         // Calculate where this region appears in the captured viewport
         // If scroll didn't reach target (document boundary), region won't be at (0,0)
-        const viewportOffsetX = regionAbsX - actualScrollX;
-        const viewportOffsetY = regionAbsY - actualScrollY;
+        const viewportOffsetX = origin.x + regionAbsX - actualScrollX;
+        const viewportOffsetY = origin.y + regionAbsY - actualScrollY;
 
         // Source region (physical pixels) - use floor to avoid gaps
         const sx = Math.floor(viewportOffsetX * dpr);
@@ -429,7 +1049,7 @@ async function captureFullElement(data, tabId, format, quality) {
 
         // Destination position on final canvas (physical pixels)
         // Use cumulative Y to avoid rounding gaps between rows
-        const dx = Math.floor(tileX * viewport.width * dpr);
+        const dx = Math.floor(tileX * frame.width * dpr);
         const dy = cumulativeY;
 
         // Destination size - use exact tile size to avoid gaps
@@ -446,7 +1066,7 @@ async function captureFullElement(data, tabId, format, quality) {
           const clampedHeight = Math.min(sHeight, imageBitmap.height - clampedSY);
 
           if (clampedWidth > 0 && clampedHeight > 0) {
-            finalCtx.drawImage(
+            surface.drawImage(
               imageBitmap,
               clampedSX, clampedSY, clampedWidth, clampedHeight,
               dx, dy, dWidth, dHeight
@@ -454,7 +1074,7 @@ async function captureFullElement(data, tabId, format, quality) {
           }
         } else {
           // Draw tile onto final canvas
-          finalCtx.drawImage(
+          surface.drawImage(
             imageBitmap,
             sx, sy, sWidth, sHeight,
             dx, dy, dWidth, dHeight
@@ -471,24 +1091,16 @@ async function captureFullElement(data, tabId, format, quality) {
       cumulativeY += rowHeightPhysical;
     }
 
-    // Convert final canvas to blob
-    const mimeType = format === 'jpg' ? 'image/jpeg' : 'image/png';
-    const qualityParam = format === 'jpg' ? quality / 100 : undefined;
-
-    const stitchedBlob = await finalCanvas.convertToBlob({
-      type: mimeType,
-      quality: qualityParam
-    });
-
-    // Cleanup
-    finalCanvas.width = 0;
-    finalCanvas.height = 0;
+    // Convert final surface to blobs (one per part)
+    const stitchedBlobs = await surface.toBlobs(getEncoderOptions(format, quality));
 
     console.log(`Multi-capture complete: ${finalWidth}×${finalHeight}px`);
 
-    return stitchedBlob;
+    return stitchedBlobs;
 
   } finally {
+    surface.release();
+
     // Always restore scrollbars and hide debug border, even if capture fails
     try {
       await chrome.tabs.sendMessage(tabId, { action: 'showScrollbars' });
@@ -496,6 +1108,14 @@ async function captureFullElement(data, tabId, format, quality) {
       console.warn('Failed to restore scrollbars:', e);
     }
 
+    if (scrollContainer) {
+      try {
+        await chrome.tabs.sendMessage(tabId, { action: 'restoreScrollContainer' });
+      } catch (e) {
+        console.warn('Failed to restore scroll container position:', e);
+      }
+    }
+
     if (debugMode) {
       try {
         await chrome.tabs.sendMessage(tabId, { action: 'hideDebugBorder' });
@@ -520,12 +1140,14 @@ async function captureFullElement(data, tabId, format, quality) {
  * - In captured image, this is at (rect.x × DPR, rect.y × DPR) (physical pixels)
  * - Source region: (sx, sy, sWidth, sHeight) all in physical pixels
  * - Destination: (0, 0, rect.width × DPR, rect.height × DPR)
+ * - rect is the capture area, already grown by the element bounds settings
+ *   (see getCaptureRect in content/utils.js)
  *
  * @param {string} dataUrl - Full screenshot data URL
  * @param {object} data - Capture data with rect, scroll, DPR
- * @param {string} format - Output format (png/jpg)
- * @param {number} quality - Output quality (1-100)
- * @returns {Promise<Blob>} Cropped image blob
+ * @param {string} format - Output format (see IMAGE_FORMATS)
+ * @param {number} quality - Output quality (1-100), lossy formats only
+ * @returns {Promise<Blob[]>} Cropped image, in parts when over the canvas limit
  */
 async function cropImageToElement(dataUrl, data, format, quality) {
   try {
@@ -540,12 +1162,6 @@ async function cropImageToElement(dataUrl, data, format, quality) {
     const physicalWidth = Math.round(rect.width * dpr);
     const physicalHeight = Math.round(rect.height * dpr);
 
-    // Validate canvas size limits
-    const MAX_DIMENSION = 16384;
-    if (physicalWidth > MAX_DIMENSION || physicalHeight > MAX_DIMENSION) {
-      throw new Error(`Element too large (max ${MAX_DIMENSION}px)`);
-    }
-
     // Convert dataURL to Blob
     const response = await fetch(dataUrl);
     const blob = await response.blob();
@@ -553,9 +1169,8 @@ async function cropImageToElement(dataUrl, data, format, quality) {
     // Create ImageBitmap from blob (works in service worker)
     const imageBitmap = await createImageBitmap(blob);
 
-    // Create canvas sized to element (physical pixels)
-    const canvas = new OffscreenCanvas(physicalWidth, physicalHeight);
-    const ctx = canvas.getContext('2d');
+    // Create surface sized to element (physical pixels)
+    const surface = createSegmentedCanvas(physicalWidth, physicalHeight);
 
     // Source coordinates in captured image (physical pixels)
     // Element is at (rect.x, rect.y) in viewport
@@ -584,59 +1199,670 @@ async function cropImageToElement(dataUrl, data, format, quality) {
 
     // Draw cropped region to canvas
     // drawImage(image, sx, sy, sWidth, sHeight, dx, dy, dWidth, dHeight)
-    ctx.drawImage(
+    surface.drawImage(
       imageBitmap,
       sx, sy, sWidth, sHeight,           // Source region (physical pixels)
-      0, 0, physicalWidth, physicalHeight // Destination (full canvas)
+      0, 0, physicalWidth, physicalHeight // Destination (full surface)
     );
 
-    // Convert canvas to blob
-    const mimeType = format === 'jpg' ? 'image/jpeg' : 'image/png';
-    const qualityParam = format === 'jpg' ? quality / 100 : undefined;
-
-    const croppedBlob = await canvas.convertToBlob({
-      type: mimeType,
-      quality: qualityParam
-    });
+    // Convert surface to blobs
+    const croppedBlobs = await surface.toBlobs(getEncoderOptions(format, quality));
 
     // Cleanup
     imageBitmap.close();
-    canvas.width = 0;
-    canvas.height = 0;
+    surface.release();
 
-    return croppedBlob;
+    return croppedBlobs;
 
   } catch (error) {
     throw new Error(`Crop failed: ${error.message}`);
   }
 }
 
+// Larger images aren't compared; both decoded images and the diff are held in memory
+const MAX_DIFF_PIXELS = 40 * 1000 * 1000;
+
+// Changed pixels are grouped into regions on a grid of this size (physical pixels)
+const DIFF_REGION_CELL = 16;
+const MAX_DIFF_REGIONS = 50;
+
+// Largest YIQ distance between two colors (black and white)
+const MAX_YIQ_DELTA = 35215;
+
+/**
+ * Compare a capture with the baseline stored for its target
+ * Changed captures get a highlighted diff image downloaded next to them.
+ * Split captures are compared part by part, with one diff per changed part
+ * (regions are in their part's coordinates). Never fails the capture
+ * itself; errors are only logged
+ * @param {Blob[]} blobs - Captured image parts
+ * @param {object} data - Capture data from content script
+ * @param {object} details - Object with mode, filename and composite
+ * @param {object} settings - Settings with diffThreshold, diffAntiAliasing and filenameConflict
+ * @returns {Promise<object|null>} Comparison with percent, changedPixels and regions, null without baseline
+ */
+async function compareWithBaseline(blobs, data, details, settings) {
+  try {
+    // Breakpoint composites have no comparable baseline
+    const key = getBaselineKey(data.page?.url, details.mode, data.elementInfo);
+    if (!key || details.composite) return null;
+
+    const baseline = await getBaseline(key);
+    if (!baseline) return null;
+
+    // Baselines set before they kept every part hold a single blob
+    const baselineParts = baseline.parts || [baseline.blob];
+    if (baselineParts.length !== blobs.length) {
+      console.warn(`Baseline has ${baselineParts.length} part(s), capture has ${blobs.length}, not compared`);
+      return null;
+    }
+
+    const diffFilename = getDiffFilename(details.filename);
+    const options = {
+      threshold: settings.diffThreshold ?? DEFAULT_DIFF_THRESHOLD,
+      antiAliasing: settings.diffAntiAliasing ?? DEFAULT_DIFF_ANTI_ALIASING
+    };
+    let changedPixels = 0;
+    let totalPixels = 0;
+    const regions = [];
+
+    for (const [index, blob] of blobs.entries()) {
+      const diff = await computeImageDiff(baselineParts[index], blob, options);
+      changedPixels += diff.changedPixels;
+      totalPixels += diff.totalPixels;
+      regions.push(...diff.regions);
+
+      if (diff.changedPixels > 0) {
+        const filename = blobs.length > 1 ? getPartFilename(diffFilename, index + 1) : diffFilename;
+        await downloadImage(diff.blob, filename, settings.filenameConflict);
+      }
+    }
+
+    console.log(`Baseline comparison: ${changedPixels} of ${totalPixels} pixels changed in ${regions.length} region(s)`);
+
+    return {
+      percent: (changedPixels / totalPixels) * 100,
+      changedPixels,
+      regions,
+      baselineTimestamp: baseline.timestamp
+    };
+  } catch (error) {
+    console.warn('Baseline comparison failed:', error);
+    return null;
+  }
+}
+
+/**
+ * Pixel diff of two images
+ * Pixels differ when their YIQ color distance exceeds the threshold
+ * (0 = exact, 1 = anything goes). With anti-aliasing tolerance, a pixel
+ * whose color is found within that many pixels in the other image is
+ * treated as shifted edge smoothing rather than a change. Images of
+ * different sizes are compared from the top-left corner; the area only
+ * one of them covers counts as changed.
+ * @param {Blob} baselineBlob - Baseline image
+ * @param {Blob} currentBlob - New capture
+ * @param {object} options - Object with threshold (0-1) and antiAliasing (pixels)
+ * @returns {Promise<object>} Diff with blob (PNG), changedPixels, totalPixels and regions
+ */
+async function computeImageDiff(baselineBlob, currentBlob, { threshold, antiAliasing }) {
+  const [before, after] = await Promise.all([createImageBitmap(baselineBlob), createImageBitmap(currentBlob)]);
+  const width = Math.max(before.width, after.width);
+  const height = Math.max(before.height, after.height);
+
+  if (width * height > MAX_DIFF_PIXELS) {
+    before.close();
+    after.close();
+    throw new Error(`Images too large to compare (${width}×${height}px)`);
+  }
+
+  const beforePixels = getImagePixels(before, width, height);
+  const afterPixels = getImagePixels(after, width, height);
+  before.close();
+  after.close();
+
+  const maxDelta = MAX_YIQ_DELTA * threshold * threshold;
+  const output = new ImageData(width, height);
+  const columns = Math.ceil(width / DIFF_REGION_CELL);
+  const cells = new Uint8Array(columns * Math.ceil(height / DIFF_REGION_CELL));
+  let changedPixels = 0;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+
+      const changed = colorDelta(beforePixels, i, afterPixels, i) > maxDelta &&
+        !hasNearbyMatch(beforePixels, i, afterPixels, x, y, width, height, antiAliasing, maxDelta) &&
+        !hasNearbyMatch(afterPixels, i, beforePixels, x, y, width, height, antiAliasing, maxDelta);
+
+      if (changed) {
+        changedPixels++;
+        cells[Math.floor(y / DIFF_REGION_CELL) * columns + Math.floor(x / DIFF_REGION_CELL)] = 1;
+        output.data.set([255, 0, 0, 255], i);
+      } else {
+        // Faded grayscale of the new capture, so changes stand out
+        const gray = 255 - 0.1 * (255 - grayLevel(afterPixels, i));
+        output.data.set([gray, gray, gray, 255], i);
+      }
+    }
+  }
+
+  const regions = findDiffRegions(cells, columns, width, height);
+
+  const canvas = new OffscreenCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  ctx.putImageData(output, 0, 0);
+
+  // Outline changed regions
+  ctx.strokeStyle = '#d946ef';
+  ctx.lineWidth = 2;
+  regions.forEach(region => {
+    ctx.strokeRect(region.x + 1, region.y + 1, region.width - 2, region.height - 2);
+  });
+
+  const blob = await canvas.convertToBlob({ type: 'image/png' });
+  canvas.width = 0;
+  canvas.height = 0;
+
+  return { blob, changedPixels, totalPixels: width * height, regions };
+}
+
+/**
+ * Squared YIQ distance between two pixels, blended onto white
+ * @param {Uint8ClampedArray} a - First image pixels
+ * @param {number} i - Offset in first image
+ * @param {Uint8ClampedArray} b - Second image pixels
+ * @param {number} j - Offset in second image
+ * @returns {number} Distance, 0 to MAX_YIQ_DELTA
+ */
+function colorDelta(a, i, b, j) {
+  const blend = (pixels, k, channel) => 255 + (pixels[k + channel] - 255) * (pixels[k + 3] / 255);
+
+  const r = blend(a, i, 0) - blend(b, j, 0);
+  const g = blend(a, i, 1) - blend(b, j, 1);
+  const bl = blend(a, i, 2) - blend(b, j, 2);
+
+  const y = r * 0.29889531 + g * 0.58662247 + bl * 0.11448223;
+  const iq = r * 0.59597799 - g * 0.2741761 - bl * 0.32180189;
+  const q = r * 0.21147017 - g * 0.52261711 + bl * 0.31114694;
+
+  return 0.5053 * y * y + 0.299 * iq * iq + 0.1957 * q * q;
+}
+
+/**
+ * Luminance of a pixel blended onto white
+ * @param {Uint8ClampedArray} pixels - Image pixels
+ * @param {number} i - Pixel offset
+ * @returns {number} Gray level 0-255
+ */
+function grayLevel(pixels, i) {
+  const alpha = pixels[i + 3] / 255;
+  const luminance = pixels[i] * 0.29889531 + pixels[i + 1] * 0.58662247 + pixels[i + 2] * 0.11448223;
+  return 255 + (luminance - 255) * alpha;
+}
+
+/**
+ * Check whether a pixel's color appears within a radius in the other image
+ * @param {Uint8ClampedArray} source - Image the pixel belongs to
+ * @param {number} i - Pixel offset in source
+ * @param {Uint8ClampedArray} other - Image searched
+ * @param {number} x - Pixel column
+ * @param {number} y - Pixel row
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} radius - Search radius (pixels), 0 disables the check
+ * @param {number} maxDelta - Largest distance that still matches
+ * @returns {boolean} True when a matching pixel is nearby
+ */
+function hasNearbyMatch(source, i, other, x, y, width, height, radius, maxDelta) {
+  for (let dy = -radius; dy <= radius; dy++) {
+    for (let dx = -radius; dx <= radius; dx++) {
+      const nx = x + dx;
+      const ny = y + dy;
+      if ((dx === 0 && dy === 0) || nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+
+      if (colorDelta(source, i, other, (ny * width + nx) * 4) <= maxDelta) {
+        return true;
+      }
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Group changed grid cells into bounding boxes
+ * Touching cells (including diagonally) form one region
+ * @param {Uint8Array} cells - 1 for cells with changed pixels
+ * @param {number} columns - Grid columns
+ * @param {number} width - Image width (pixels)
+ * @param {number} height - Image height (pixels)
+ * @returns {object[]} Largest regions first, each with x, y, width, height (pixels)
+ */
+function findDiffRegions(cells, columns, width, height) {
+  const rows = cells.length / columns;
+  const regions = [];
+
+  for (let start = 0; start < cells.length; start++) {
+    if (cells[start] !== 1) continue;
+
+    let minX = columns;
+    let minY = rows;
+    let maxX = 0;
+    let maxY = 0;
+    const stack = [start];
+    cells[start] = 2;
+
+    while (stack.length) {
+      const cell = stack.pop();
+      const cx = cell % columns;
+      const cy = Math.floor(cell / columns);
+      minX = Math.min(minX, cx);
+      minY = Math.min(minY, cy);
+      maxX = Math.max(maxX, cx);
+      maxY = Math.max(maxY, cy);
+
+      for (let ny = Math.max(0, cy - 1); ny <= Math.min(rows - 1, cy + 1); ny++) {
+        for (let nx = Math.max(0, cx - 1); nx <= Math.min(columns - 1, cx + 1); nx++) {
+          const neighbor = ny * columns + nx;
+          if (cells[neighbor] === 1) {
+            cells[neighbor] = 2;
+            stack.push(neighbor);
+          }
+        }
+      }
+    }
+
+    const x = minX * DIFF_REGION_CELL;
+    const y = minY * DIFF_REGION_CELL;
+    regions.push({
+      x,
+      y,
+      width: Math.min(width, (maxX + 1) * DIFF_REGION_CELL) - x,
+      height: Math.min(height, (maxY + 1) * DIFF_REGION_CELL) - y
+    });
+  }
+
+  return regions
+    .sort((a, b) => b.width * b.height - a.width * a.height)
+    .slice(0, MAX_DIFF_REGIONS);
+}
+
+/**
+ * Hand captured image to the user
+ * With "Annotate" enabled the capture opens in the editor page instead of
+ * being saved; split captures are too large to edit and are saved directly.
+ * With "Beautify" enabled the capture is framed first.
+ * @param {Blob[]} blobs - Captured image parts
+ * @param {object} data - Capture data from content script
+ * @param {object} details - Object with mode, filename, format and quality
+ * @param {object} settings - Settings with copyToClipboard, splitOutput, reviewBeforeSave, diff and Beautify options
+ * @returns {Promise<object>} Result with action (copy/download/review), part count and baseline comparison
+ */
+async function deliverCapture(blobs, data, details, settings) {
+  // Compared and kept for baselines before the frame and annotations are added
+  const baselineParts = blobs;
+  const comparison = await compareWithBaseline(blobs, data, details, settings);
+  blobs = await frameCapture(blobs, data, details, settings);
+
+  if (settings.reviewBeforeSave && blobs.length === 1) {
+    const id = await addPendingCapture({ ...details, comparison, blob: blobs[0], baselineParts, data });
+    await chrome.tabs.create({ url: chrome.runtime.getURL(`editor/editor.html?id=${id}`) });
+    return { action: 'review', parts: 1, comparison };
+  }
+
+  if (settings.reviewBeforeSave) {
+    console.warn(`Capture split into ${blobs.length} parts, saving without review`);
+  }
+
+  const result = await saveCapture(blobs, details.filename, settings);
+  await recordCapture(blobs, data, { ...details, comparison, baselineParts });
+
+  return { ...result, comparison };
+}
+
+// Settings read by captures that may be framed (Beautify setting)
+const BEAUTIFY_SETTING_KEYS = ['beautifyEnabled', 'beautifyPresets', 'beautifyPreset'];
+
+/**
+ * Frame a capture with the active Beautify preset
+ * Captures split past the canvas limit, or whose frame would be, are
+ * saved without a frame.
+ * @param {Blob[]} blobs - Captured image parts
+ * @param {object} data - Capture data with devicePixelRatio
+ * @param {object} details - Object with format and quality
+ * @param {object} settings - Settings with beautifyEnabled, beautifyPresets and beautifyPreset
+ * @returns {Promise<Blob[]>} Framed image, or the parts unchanged
+ */
+async function frameCapture(blobs, data, details, settings) {
+  if (!settings.beautifyEnabled) return blobs;
+
+  if (blobs.length > 1) {
+    console.warn(`Capture split into ${blobs.length} parts, saving without frame`);
+    return blobs;
+  }
+
+  // JPG has no alpha channel, so transparent frames get a white background
+  const framed = await applyBeautifyFrame(
+    blobs[0], getActiveBeautifyPreset(settings), data.devicePixelRatio || 1,
+    getEncoderOptions(details.format, details.quality), details.format === 'jpg'
+  );
+
+  if (!framed) {
+    console.warn(`Framed capture would exceed ${MAX_CANVAS_DIMENSION}px, saving without frame`);
+    return blobs;
+  }
+
+  return [framed];
+}
+
+/**
+ * Save one element of a batch capture
+ * Files are numbered in document order; with the ZIP output they're kept
+ * in IndexedDB until the batch finishes. Batches skip the clipboard, editor and
+ * baseline comparison.
+ * @param {Blob[]} blobs - Captured image parts
+ * @param {object} data - Capture data with batch (id, index, total)
+ * @param {object} details - Object with mode, filename, format and quality
+ * @param {object} settings - Settings with batchOutput, splitOutput, filenameConflict and Beautify options
+ * @returns {Promise<object>} Result with action and part count
+ */
+async function saveBatchCapture(blobs, data, details, settings) {
+  const { id, index, total } = data.batch;
+  const filename = getBatchFilename(details.filename, index, total);
+  const baselineParts = blobs;
+  blobs = await frameCapture(blobs, data, details, settings);
+  let result;
+
+  if (settings.batchOutput === 'zip') {
+    // Entries sit at the archive root; parts past the canvas limit stay numbered
+    const archive = details.filename.replace(/\.[^.]+$/, '_batch.zip');
+    const basename = filename.split('/').pop();
+    for (const [part, blob] of blobs.entries()) {
+      const name = blobs.length > 1 ? getPartFilename(basename, part + 1) : basename;
+      await addPendingBatchFile({ batchId: id, archive, name, blob });
+    }
+    result = { action: 'download', parts: blobs.length, archive: true };
+  } else {
+    result = await saveCapture(blobs, filename, { ...settings, copyToClipboard: false });
+  }
+
+  await recordCapture(blobs, data, { ...details, filename, baselineParts });
+  return result;
+}
+
+/**
+ * Finish a batch capture, downloading its ZIP when one was collected
+ * @param {string} batchId - Batch ID
+ * @returns {Promise<object>} Result object with success status
+ */
+async function handleBatchFinish(batchId) {
+  const files = await listPendingBatchFiles(batchId);
+  if (files.length === 0) return { success: true, archive: false };
+
+  const settings = await chrome.storage.local.get(['filenameConflict']);
+  const blob = await createZipArchive(files.map(({ name, blob }) => ({ name, blob })));
+  await downloadImage(blob, files[0].archive, settings.filenameConflict || 'uniquify');
+  await deletePendingBatchFiles(files);
+
+  return { success: true, archive: true, files: files.length };
+}
+
+/**
+ * Finish a capture reviewed in the editor
+ * The editor stores the annotated image in the pending capture first;
+ * copies happen in the editor page itself, which has clipboard access.
+ * History keeps the image as captured (baselineParts) next to it
+ * @param {number} id - Pending capture ID
+ * @param {boolean} copied - Whether the editor copied it to the clipboard
+ * @returns {Promise<object>} Result object with success status
+ */
+async function handleEditedCapture(id, copied) {
+  const capture = await getPendingCapture(id);
+  if (!capture) {
+    throw new Error('Capture no longer available');
+  }
+
+  const settings = await chrome.storage.local.get(['splitOutput', 'filenameConflict']);
+  const result = copied
+    ? { action: 'copy', parts: 1 }
+    : await saveCapture([capture.blob], capture.filename, { ...settings, copyToClipboard: false });
+
+  await recordCapture([capture.blob], capture.data, capture);
+  await deletePendingCapture(id);
+
+  return { success: true, ...result };
+}
+
+/**
+ * Save captured image to downloads or clipboard
+ * Output split past the canvas limit is saved as numbered parts or one ZIP
+ * archive (splitOutput setting); parts never go to the clipboard, which
+ * holds a single image
+ * @param {Blob[]} blobs - Captured image parts
+ * @param {string} filename - Download path for a single image
+ * @param {object} settings - Settings with copyToClipboard, splitOutput and filenameConflict
+ * @returns {Promise<object>} Result with action (copy/download) and part count
+ */
+async function saveCapture(blobs, filename, settings) {
+  const conflictAction = settings.filenameConflict || 'uniquify';
+
+  if (blobs.length === 1) {
+    if (settings.copyToClipboard) {
+      await copyImageToClipboard(blobs[0]);
+      return { action: 'copy', parts: 1 };
+    }
+
+    await downloadImage(blobs[0], filename, conflictAction);
+    return { action: 'download', parts: 1 };
+  }
+
+  if (settings.copyToClipboard) {
+    console.warn(`Output split into ${blobs.length} parts, downloading instead of copying`);
+  }
+
+  if (settings.splitOutput === 'zip') {
+    // Entries sit at the archive root; only the archive goes into subfolders
+    const basename = filename.split('/').pop();
+    const files = blobs.map((blob, index) => ({ name: getPartFilename(basename, index + 1), blob }));
+    const archive = await createZipArchive(files);
+    await downloadImage(archive, filename.replace(/\.[^.]+$/, '.zip'), conflictAction);
+    return { action: 'download', parts: blobs.length, archive: true };
+  }
+
+  for (let i = 0; i < blobs.length; i++) {
+    await downloadImage(blobs[i], getPartFilename(filename, i + 1), conflictAction);
+  }
+
+  return { action: 'download', parts: blobs.length };
+}
+
+/**
+ * Keep capture in history (IndexedDB)
+ * Framed captures also keep the image as captured, which is what baselines
+ * are set from and compared with. Never fails the capture itself; errors
+ * are only logged
+ * @param {Blob[]} blobs - Image parts as delivered
+ * @param {object} data - Capture data from content script
+ * @param {object} details - Object with mode, filename, format, comparison and
+ *   baselineParts (image parts before the frame, when they differ)
+ * @returns {Promise<void>}
+ */
+async function recordCapture(blobs, data, details) {
+  try {
+    const baselineParts = details.baselineParts && details.baselineParts !== blobs ? details.baselineParts : null;
+
+    await addHistoryEntry({
+      timestamp: Date.now(),
+      mode: details.mode,
+      url: data.page?.url || null,
+      title: data.page?.title || null,
+      elementInfo: data.elementInfo || null,
+      ...getCaptureSize(data, details.mode),
+      format: details.format,
+      filename: details.filename,
+      comparison: details.comparison || null,
+      parts: blobs,
+      baselineParts,
+      size: [...blobs, ...(baselineParts || [])].reduce((size, blob) => size + blob.size, 0),
+      thumbnail: await createThumbnail(blobs[0])
+    });
+  } catch (error) {
+    console.warn('Failed to save capture to history:', error);
+  }
+}
+
+/**
+ * Create small preview image for history
+ * Scaled to a fixed width while decoding, then cropped to the top so
+ * tall full page captures stay legible
+ * @param {Blob} blob - Captured image
+ * @returns {Promise<Blob>} WebP thumbnail
+ */
+async function createThumbnail(blob) {
+  const THUMBNAIL_WIDTH = 320;
+  const THUMBNAIL_MAX_HEIGHT = 240;
+
+  const imageBitmap = await createImageBitmap(blob, { resizeWidth: THUMBNAIL_WIDTH, resizeQuality: 'medium' });
+  const canvas = new OffscreenCanvas(THUMBNAIL_WIDTH, Math.min(imageBitmap.height, THUMBNAIL_MAX_HEIGHT));
+  canvas.getContext('2d').drawImage(imageBitmap, 0, 0);
+  imageBitmap.close();
+
+  return canvas.convertToBlob({ type: 'image/webp', quality: 0.8 });
+}
+
+/**
+ * Download a capture again from history
+ * @param {number} id - History entry ID
+ * @returns {Promise<object>} Result object with success status
+ */
+async function handleHistoryDownload(id) {
+  const entry = await getHistoryEntry(id);
+  if (!entry) {
+    throw new Error('Capture no longer in history');
+  }
+
+  const settings = await chrome.storage.local.get(['splitOutput', 'filenameConflict']);
+  const result = await saveCapture(entry.parts, entry.filename, { ...settings, copyToClipboard: false });
+
+  return { success: true, ...result };
+}
+
 /**
- * Generate filename for screenshot
- * Format: screenshot_[element]_[timestamp].[ext]
- * @param {object} elementInfo - Element metadata
+ * Add part number to filename
+ * Format: [filename]_part[n].[ext]
+ * @param {string} filename - Filename with extension
+ * @param {number} part - Part number (1-based)
+ * @returns {string} Numbered filename
+ */
+function getPartFilename(filename, part) {
+  return filename.replace(/(\.[^.]+)$/, `_part${part}$1`);
+}
+
+/**
+ * Add batch position to filename, zero-padded so files sort in order
+ * Format: [filename]_[n].[ext]
+ * @param {string} filename - Filename with extension
+ * @param {number} index - Position in the batch (1-based)
+ * @param {number} total - Elements in the batch
+ * @returns {string} Numbered filename
+ */
+function getBatchFilename(filename, index, total) {
+  const number = String(index).padStart(String(total).length, '0');
+  return filename.replace(/(\.[^.]+)$/, `_${number}$1`);
+}
+
+/**
+ * Name of the diff image for a capture
+ * Always PNG, whatever the capture's format
+ * @param {string} filename - Capture filename with extension
+ * @returns {string} Diff filename
+ */
+function getDiffFilename(filename) {
+  return filename.replace(/(\.[^.]+)?$/, '_diff.png');
+}
+
+/**
+ * Add viewport width to filename
+ * Format: [filename]_[width]px.[ext]
+ * @param {string} filename - Filename with extension
+ * @param {number} width - Viewport width (CSS pixels)
+ * @returns {string} Filename for one breakpoint
+ */
+function getBreakpointFilename(filename, width) {
+  return filename.replace(/(\.[^.]+)$/, `_${width}px$1`);
+}
+
+/**
+ * Generate download path from the filename template setting
+ * Format by default: screenshot_[element-or-mode]_[timestamp].[ext]
+ * @param {object} data - Capture data from content script
+ * @param {string} mode - Capture mode (element/viewport/fullpage/region)
  * @param {string} format - File format
- * @returns {string} Filename
+ * @returns {Promise<string>} Relative path, may include subfolders
  */
-function generateFilename(elementInfo, format) {
-  const timestamp = new Date().toISOString()
-    .replace(/[:.]/g, '-')
-    .replace('T', '_')
-    .substring(0, 19);
+async function generateFilename(data, mode, format) {
+  const settings = await chrome.storage.local.get(['filenameTemplate', 'filenameCounter']);
+  const template = settings.filenameTemplate || DEFAULT_FILENAME_TEMPLATE;
+
+  // Counter only advances for templates that use it
+  const counter = (settings.filenameCounter || 0) + 1;
+  if (template.includes('{counter')) {
+    await chrome.storage.local.set({ filenameCounter: counter });
+  }
 
-  // Use element ID or tag name for filename
-  const elementName = elementInfo.id ||
-    elementInfo.tagName.toLowerCase() ||
-    'element';
+  const elementInfo = data.elementInfo || {};
+  const tag = elementInfo.tagName ? elementInfo.tagName.toLowerCase() : '';
+  // SVG elements report className as an object
+  const className = typeof elementInfo.className === 'string'
+    ? elementInfo.className.trim().split(/\s+/)[0]
+    : '';
 
-  // Sanitize element name
-  const safeName = elementName
-    .replace(/[^a-z0-9_-]/gi, '_')
-    .substring(0, 30);
+  let url = null;
+  try {
+    url = new URL(data.page?.url);
+  } catch (error) {
+    // Page URL missing (older content script) - host and path stay empty
+  }
 
-  const ext = format === 'jpg' ? 'jpg' : 'png';
+  // Use element ID or tag name for element captures, the mode otherwise
+  const name = mode === 'element'
+    ? (elementInfo.id || tag || 'element').replace(/[^a-z0-9_-]/gi, '_').substring(0, 30)
+    : mode;
+
+  const { width, height } = getCaptureSize(data, mode);
+
+  return renderFilenameTemplate(template, {
+    name,
+    mode,
+    host: url?.hostname || 'local',
+    title: data.page?.title || 'untitled',
+    path: url?.pathname.replace(/^\/+|\/+$/g, '') || 'index',
+    tag: tag || mode,
+    id: elementInfo.id || '',
+    class: className,
+    width,
+    height,
+    counter
+  }, getImageFormat(format).extension);
+}
 
-  return `screenshot_${safeName}_${timestamp}.${ext}`;
+/**
+ * Output size of a capture in physical pixels
+ * @param {object} data - Capture data from content script
+ * @param {string} mode - Capture mode (element/viewport/fullpage/region)
+ * @returns {object} Object with width and height
+ */
+function getCaptureSize(data, mode) {
+  const dpr = data.devicePixelRatio || 1;
+  const area = mode === 'viewport' ? data.viewport
+    : mode === 'fullpage' ? data.documentDimensions
+    : data.scrollContainer?.region || data.rect;
+
+  return {
+    width: Math.round(area.width * dpr),
+    height: Math.round(area.height * dpr)
+  };
 }
 
 /**
@@ -702,13 +1928,15 @@ async function copyImageToClipboard(blob) {
 
 /**
  * Download image blob
- * Uses chrome.downloads API to save without prompt
+ * Uses chrome.downloads API to save without prompt, unless the collision
+ * policy asks the user when the file already exists
  * Service worker compatible - converts blob to data URL
  * @param {Blob} blob - Image blob
- * @param {string} filename - Download filename
+ * @param {string} filename - Download path relative to the downloads folder
+ * @param {string} conflictAction - Existing file policy (uniquify/overwrite/prompt)
  * @returns {Promise<void>}
  */
-async function downloadImage(blob, filename) {
+async function downloadImage(blob, filename, conflictAction = 'uniquify') {
   try {
     // Convert blob to data URL (service worker compatible)
     const dataUrl = await blobToDataURL(blob);
@@ -718,6 +1946,7 @@ async function downloadImage(blob, filename) {
       chrome.downloads.download({
         url: dataUrl,
         filename: filename,
+        conflictAction: conflictAction,
         saveAs: false  // Auto-save to default downloads folder
       }, (downloadId) => {
         if (chrome.runtime.lastError) {
@@ -727,9 +1956,15 @@ async function downloadImage(blob, filename) {
 
         // Wait for download to complete
         chrome.downloads.onChanged.addListener(function listener(delta) {
-          if (delta.id === downloadId && delta.state?.current === 'complete') {
+          if (delta.id !== downloadId) return;
+
+          if (delta.state?.current === 'complete') {
             chrome.downloads.onChanged.removeListener(listener);
             resolve();
+          } else if (delta.state?.current === 'interrupted') {
+            // E.g. save dialog of the prompt policy cancelled
+            chrome.downloads.onChanged.removeListener(listener);
+            reject(new Error(delta.error?.current || 'Download interrupted'));
           }
         });
       });
@@ -0,0 +1,61 @@
+/**
+ * Element Snapper - Transparent backgrounds
+ * Recovers an element's own pixels, alpha included, from two captures
+ * over a white and a black backdrop (difference matting)
+ * Needs image_pixels.js loaded first
+ */
+
+// Backdrops of the two capture passes
+const MATTE_BACKDROPS = { white: '#ffffff', black: '#000000' };
+
+/**
+ * Combine captures over white and black into one image with transparency
+ * A pixel composited over a backdrop is alpha × color + (1 - alpha) ×
+ * backdrop, so the difference between the two captures is (1 - alpha) ×
+ * 255 and the capture over black is the premultiplied color. Anti-aliased
+ * edges, rounded corners and shadows come out partially transparent.
+ * @param {Blob} whiteBlob - Capture over the white backdrop (lossless)
+ * @param {Blob} blackBlob - Capture over the black backdrop (lossless)
+ * @param {object} encoderOptions - convertToBlob options (see getEncoderOptions)
+ * @returns {Promise<Blob>} Image with alpha channel
+ */
+async function extractTransparency(whiteBlob, blackBlob, encoderOptions) {
+  const [whiteBitmap, blackBitmap] = await Promise.all([createImageBitmap(whiteBlob), createImageBitmap(blackBlob)]);
+
+  if (whiteBitmap.width !== blackBitmap.width || whiteBitmap.height !== blackBitmap.height) {
+    whiteBitmap.close();
+    blackBitmap.close();
+    throw new Error('Transparency failed: the element changed size between captures');
+  }
+
+  const { width, height } = whiteBitmap;
+  const white = getImagePixels(whiteBitmap, width, height);
+  const black = getImagePixels(blackBitmap, width, height);
+  whiteBitmap.close();
+  blackBitmap.close();
+
+  const output = new ImageData(width, height);
+  const pixels = output.data;
+
+  for (let i = 0; i < pixels.length; i += 4) {
+    // Average the three channels' estimates, which differ only by noise
+    const difference = (white[i] - black[i]) + (white[i + 1] - black[i + 1]) + (white[i + 2] - black[i + 2]);
+    const alpha = Math.min(255, Math.max(0, 255 - difference / 3));
+
+    if (alpha > 0) {
+      pixels[i] = Math.min(255, Math.round(black[i] * 255 / alpha));
+      pixels[i + 1] = Math.min(255, Math.round(black[i + 1] * 255 / alpha));
+      pixels[i + 2] = Math.min(255, Math.round(black[i + 2] * 255 / alpha));
+    }
+    pixels[i + 3] = Math.round(alpha);
+  }
+
+  const canvas = new OffscreenCanvas(width, height);
+  canvas.getContext('2d').putImageData(output, 0, 0);
+  const blob = await canvas.convertToBlob(encoderOptions);
+
+  canvas.width = 0;
+  canvas.height = 0;
+
+  return blob;
+}
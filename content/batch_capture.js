@@ -0,0 +1,191 @@
+/**
+ * Batch capture module
+ * Captures every element matching a CSS selector, one after another,
+ * through the normal element capture flow (component inventories)
+ */
+
+// Upper limit per batch, so a broad selector like "div" can't run for hours
+const BATCH_MAX_ELEMENTS = 200;
+
+class BatchCapture {
+  constructor() {
+    this.isActive = false;
+    this.cancelled = false;
+    this.elements = null;
+
+    this.boundKeyDown = this.handleKeyDown.bind(this);
+  }
+
+  /**
+   * Capture all rendered elements matching a selector
+   * Each match is scrolled into view and captured in document order; the
+   * service worker saves them as numbered files or collects them into one
+   * ZIP (batchOutput setting)
+   * @param {string} selector - CSS selector
+   * @returns {Promise<void>}
+   */
+  async start(selector) {
+    if (this.isActive) return;
+
+    let matches;
+    try {
+      matches = [...document.querySelectorAll(selector)];
+    } catch (e) {
+      showNotification(`Invalid selector: ${selector}`, 'error');
+      return;
+    }
+
+    matches = matches.filter(element => {
+      const rect = element.getBoundingClientRect();
+      return rect.width > 0 && rect.height > 0;
+    });
+
+    if (matches.length === 0) {
+      showNotification(`No visible elements match ${selector}`, 'error');
+      return;
+    }
+
+    if (matches.length > BATCH_MAX_ELEMENTS) {
+      console.warn(`${matches.length} elements match, capturing the first ${BATCH_MAX_ELEMENTS}`);
+      matches = matches.slice(0, BATCH_MAX_ELEMENTS);
+    }
+
+    this.isActive = true;
+    this.cancelled = false;
+
+    const { delay } = await chrome.storage.local.get(['delay']);
+    if (delay > 0) {
+      injectCountdownStyles();
+      await showCountdownOverlay(delay);
+    }
+
+    const batch = { id: `${Date.now()}`, total: matches.length };
+    const scroll = getScrollOffsets();
+    let captured = 0;
+
+    injectBatchStyles();
+    this.buildPanel();
+    document.addEventListener('keydown', this.boundKeyDown, true);
+
+    try {
+      for (let i = 0; i < matches.length && !this.cancelled; i++) {
+        this.updatePanel(i, matches.length);
+
+        // Pages may remove elements while earlier ones are captured
+        if (!matches[i].isConnected) continue;
+
+        await scrollIntoView(matches[i]);
+        await this.setPanelVisible(false);
+
+        const response = await elementSelector.captureElement(matches[i], { batch: { ...batch, index: i + 1 } });
+        if (response?.success) captured++;
+
+        await this.setPanelVisible(true);
+      }
+    } finally {
+      document.removeEventListener('keydown', this.boundKeyDown, true);
+      this.elements.root.remove();
+      this.elements = null;
+      this.isActive = false;
+      window.scrollTo({ left: scroll.x, top: scroll.y, behavior: 'instant' });
+    }
+
+    await this.finish(batch, captured);
+  }
+
+  /**
+   * Let the service worker save a collected ZIP, then report the result
+   * @param {object} batch - Batch with id and total
+   * @param {number} captured - Number of elements captured
+   * @returns {Promise<void>}
+   */
+  async finish(batch, captured) {
+    const response = await chrome.runtime.sendMessage({ action: 'finishBatch', batchId: batch.id });
+
+    if (!response?.success) {
+      showNotification(`Batch capture failed: ${response?.error || 'no response'}`, 'error');
+      return;
+    }
+
+    const archiveNote = response.archive ? ' in a ZIP' : '';
+    const cancelNote = this.cancelled ? ' (cancelled)' : '';
+    showNotification(`${captured} of ${batch.total} elements saved to downloads${archiveNote}${cancelNote}`, captured > 0 ? 'success' : 'error');
+  }
+
+  /**
+   * Stop after the element being captured
+   */
+  cancel() {
+    this.cancelled = true;
+
+    if (this.elements) {
+      this.elements.text.textContent = 'Cancelling...';
+      this.elements.cancel.disabled = true;
+    }
+  }
+
+  /**
+   * Build the progress panel
+   */
+  buildPanel() {
+    const root = document.createElement('div');
+    root.className = 'element-screenshot-batch-panel';
+
+    const text = document.createElement('span');
+
+    const progress = document.createElement('div');
+    progress.className = 'element-screenshot-batch-progress';
+    const bar = document.createElement('div');
+    bar.className = 'element-screenshot-batch-bar';
+    progress.appendChild(bar);
+
+    const cancel = document.createElement('button');
+    cancel.type = 'button';
+    cancel.textContent = 'Cancel';
+    cancel.title = 'Cancel (Esc)';
+    cancel.addEventListener('click', () => this.cancel());
+
+    root.append(text, progress, cancel);
+    document.body.appendChild(root);
+
+    this.elements = { root, text, bar, cancel };
+  }
+
+  /**
+   * Show progress
+   * @param {number} done - Elements processed so far
+   * @param {number} total - Elements in the batch
+   */
+  updatePanel(done, total) {
+    if (this.cancelled) return;
+
+    this.elements.text.textContent = `Capturing ${done + 1} of ${total}`;
+    this.elements.bar.style.width = `${(done / total) * 100}%`;
+  }
+
+  /**
+   * Show or hide the panel, hidden while each element is captured
+   * @param {boolean} visible - Whether to show it
+   * @returns {Promise<void>} Resolves once the change is painted
+   */
+  async setPanelVisible(visible) {
+    this.elements.root.style.visibility = visible ? '' : 'hidden';
+    await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+  }
+
+  /**
+   * Handle keydown event
+   * Escape cancels the batch
+   * @param {KeyboardEvent} event - Keyboard event
+   */
+  handleKeyDown(event) {
+    if (event.key !== 'Escape') return;
+
+    event.preventDefault();
+    event.stopPropagation();
+    this.cancel();
+  }
+}
+
+// Create singleton instance
+const batchCapture = new BatchCapture();
@@ -10,6 +10,15 @@ console.log('Element Snapper: Content script loaded');
 // Store scrollbar state for multi-capture
 let scrollbarState = null;
 
+// Store fixed/sticky element state for full-page stitching
+let fixedElementsState = null;
+
+// Store print isolation state for element PDF export
+let printState = null;
+
+// Store backdrop state for transparent background captures
+let backdropState = null;
+
 /**
  * Handle viewport capture
  * Captures the current visible viewport without element selection
@@ -26,9 +35,6 @@ async function handleViewportCapture() {
       await showCountdownOverlay(delay);
     }
 
-    // Notify popup that capture started
-    chrome.runtime.sendMessage({ action: 'captureStarted' });
-
     // Get current viewport and scroll information
     const scroll = getScrollOffsets();
     const docDims = getDocumentDimensions();
@@ -48,22 +54,7 @@ async function handleViewportCapture() {
     };
 
     // Request screenshot from service worker
-    const response = await chrome.runtime.sendMessage({
-      action: 'captureViewportOrPage',
-      data: captureData
-    });
-
-    if (response.success) {
-      if (response.action === 'download') {
-        showNotification('Screenshot saved to downloads', 'success');
-      }
-      chrome.runtime.sendMessage({ action: 'captureSuccess' });
-    } else {
-      chrome.runtime.sendMessage({
-        action: 'captureError',
-        error: response.error
-      });
-    }
+    await requestCapture('captureViewportOrPage', captureData);
   } catch (error) {
     console.error('Viewport capture failed:', error);
     chrome.runtime.sendMessage({
@@ -82,7 +73,16 @@ async function handleClipboardCopy(dataUrl) {
   try {
     // Convert data URL to blob
     const response = await fetch(dataUrl);
-    const blob = await response.blob();
+    let blob = await response.blob();
+
+    // Clipboard only accepts PNG images, re-encode JPG/WebP/AVIF captures
+    if (blob.type !== 'image/png') {
+      const imageBitmap = await createImageBitmap(blob);
+      const canvas = new OffscreenCanvas(imageBitmap.width, imageBitmap.height);
+      canvas.getContext('2d').drawImage(imageBitmap, 0, 0);
+      blob = await canvas.convertToBlob({ type: 'image/png' });
+      imageBitmap.close();
+    }
 
     // Use Clipboard API to write image
     await navigator.clipboard.write([
@@ -106,9 +106,10 @@ async function handleClipboardCopy(dataUrl) {
  */
 async function handleFullPageCapture() {
   try {
-    // Load delay setting
-    const settings = await chrome.storage.local.get(['delay']);
+    // Load delay and warm-up settings
+    const settings = await chrome.storage.local.get(['delay', 'preloadLazyContent']);
     const delay = settings.delay || 0;
+    const preloadLazyContent = settings.preloadLazyContent || false;
 
     // Show countdown if delay is enabled
     if (delay > 0) {
@@ -116,14 +117,16 @@ async function handleFullPageCapture() {
       await showCountdownOverlay(delay);
     }
 
-    // Notify popup that capture started
-    chrome.runtime.sendMessage({ action: 'captureStarted' });
+    // Load lazy images and below-the-fold content before measuring the page
+    if (preloadLazyContent) {
+      await warmUpLazyContent();
+    }
 
     // Scroll to top before starting
     window.scrollTo({ left: 0, top: 0, behavior: 'instant' });
     await new Promise(resolve => setTimeout(resolve, 300));
 
-    // Get page dimensions
+    // Get page dimensions (after warm-up, which often grows the document)
     const scroll = getScrollOffsets();
     const docDims = getDocumentDimensions();
     const dpr = window.devicePixelRatio || 1;
@@ -142,22 +145,7 @@ async function handleFullPageCapture() {
     };
 
     // Request screenshot from service worker
-    const response = await chrome.runtime.sendMessage({
-      action: 'captureViewportOrPage',
-      data: captureData
-    });
-
-    if (response.success) {
-      if (response.action === 'download') {
-        showNotification('Screenshot saved to downloads', 'success');
-      }
-      chrome.runtime.sendMessage({ action: 'captureSuccess' });
-    } else {
-      chrome.runtime.sendMessage({
-        action: 'captureError',
-        error: response.error
-      });
-    }
+    await requestCapture('captureViewportOrPage', captureData);
   } catch (error) {
     console.error('Full page capture failed:', error);
     chrome.runtime.sendMessage({
@@ -167,6 +155,172 @@ async function handleFullPageCapture() {
   }
 }
 
+/**
+ * Measure an element again after the viewport changed (breakpoint capture)
+ * @param {string} selector - Element selector
+ * @returns {Promise<object|null>} Geometry for the capture data, null when the element is missing or hidden
+ */
+async function handleMeasureElement(selector) {
+  // Let the page lay out and run its resize handlers at the new width
+  await new Promise(resolve => setTimeout(resolve, 300));
+  await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+
+  const element = findElement(selector);
+  if (!element) return null;
+
+  // Hidden at this width
+  const size = getElementRect(element);
+  if (size.width === 0 || size.height === 0) return null;
+
+  return {
+    rect: getCaptureRect(element, await getCaptureBounds()),
+    scroll: getScrollOffsets(),
+    documentDimensions: getDocumentDimensions(),
+    devicePixelRatio: window.devicePixelRatio || 1,
+    viewport: {
+      width: window.innerWidth,
+      height: window.innerHeight
+    }
+  };
+}
+
+/**
+ * Repeat the previous capture (keyboard shortcut)
+ * Elements are found again by selector, regions reuse their document
+ * coordinates; an element that no longer exists is selected again
+ * @param {object|null} capture - Last capture with mode, selector, fullCapture or region
+ */
+async function handleRepeatCapture(capture) {
+  if (!capture) {
+    showNotification('No capture to repeat yet', 'error');
+    return;
+  }
+
+  switch (capture.mode) {
+    case 'viewport':
+      await handleViewportCapture();
+      break;
+
+    case 'fullpage':
+      await handleFullPageCapture();
+      break;
+
+    case 'region':
+      await regionSelector.captureRegion(capture.region);
+      break;
+
+    case 'element': {
+      const element = capture.selector && document.querySelector(capture.selector);
+      if (element) {
+        await elementSelector.captureElement(element, { fullCapture: capture.fullCapture });
+      } else {
+        showNotification('Element not found, select it again', 'error');
+        elementSelector.start();
+      }
+      break;
+    }
+
+    default:
+      throw new Error(`Unknown capture mode: ${capture.mode}`);
+  }
+}
+
+/**
+ * Find a right-clicked element from what the context menu reports
+ * Used when the capture scripts were injected by the menu click itself and
+ * missed the right-click: images and links by URL (when only one matches),
+ * editable fields by focus, selected text by its selection
+ * @param {object} menu - Object with srcUrl, linkUrl, editable and selectionText
+ * @returns {HTMLElement|null} Element, null when it can't be told apart
+ */
+function findContextTarget({ srcUrl, linkUrl, editable, selectionText }) {
+  const only = candidates => (candidates.length === 1 ? candidates[0] : null);
+
+  if (srcUrl) {
+    return only([...document.images].filter(image => image.currentSrc === srcUrl || image.src === srcUrl));
+  }
+  if (linkUrl) {
+    return only([...document.links].filter(link => link.href === linkUrl));
+  }
+  if (editable) {
+    return document.activeElement !== document.body ? document.activeElement : null;
+  }
+
+  const selection = window.getSelection();
+  if (selectionText && selection.rangeCount > 0) {
+    const node = selection.getRangeAt(0).commonAncestorContainer;
+    return node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+  }
+
+  return null;
+}
+
+/**
+ * Capture the right-clicked element (context menu)
+ * For images the rendered <img> is captured even when the click landed on
+ * an overlay above it; inside frames the frame element itself is captured
+ * @param {object} message - Message with fullCapture, inFrame, srcUrl, linkUrl, editable and selectionText
+ */
+async function handleContextCapture({ fullCapture, inFrame, srcUrl, linkUrl, editable, selectionText }) {
+  let element = null;
+
+  if (inFrame) {
+    // Clicking into a frame focuses its element in this document
+    const active = document.activeElement;
+    element = active && /^(IFRAME|FRAME)$/.test(active.tagName) ? active : null;
+  } else if (!lastContextTarget?.element.isConnected) {
+    element = findContextTarget({ srcUrl, linkUrl, editable, selectionText });
+  } else {
+    element = lastContextTarget.element;
+
+    if (srcUrl && !(element instanceof HTMLImageElement && element.currentSrc === srcUrl)) {
+      const image = document.elementsFromPoint(lastContextTarget.x, lastContextTarget.y)
+        .find(candidate => candidate instanceof HTMLImageElement && (candidate.currentSrc === srcUrl || candidate.src === srcUrl));
+      if (image) element = image;
+    }
+  }
+
+  if (!element) {
+    showNotification('Element not found, select it instead', 'error');
+    elementSelector.start();
+    return;
+  }
+
+  await elementSelector.captureElement(element, { fullCapture });
+}
+
+/**
+ * Capture a recipe's element once it appears (popup Recipes tab)
+ * Found by selector, or by XPath when the selector no longer matches
+ * @param {object} recipe - Recipe with name, selector, xpath, fullCapture and format
+ */
+async function handleRecipeCapture(recipe) {
+  const element = await waitForElement(recipe.selector, recipe.xpath);
+
+  if (!element) {
+    showNotification(`Recipe "${recipe.name}": element not found`, 'error');
+    return;
+  }
+
+  await elementSelector.captureElement(element, { fullCapture: recipe.fullCapture, format: recipe.format });
+}
+
+/**
+ * Add a picked element to this site's hide list
+ * @param {HTMLElement} element - Element clicked in the hide list picker
+ */
+async function handleHidePick(element) {
+  const selector = getUniqueSelector(element);
+  const site = getHideListSite();
+
+  const { hideSelectorsBySite = {} } = await chrome.storage.local.get('hideSelectorsBySite');
+  const selectors = splitRuleLines(hideSelectorsBySite[site]);
+  if (!selectors.includes(selector)) selectors.push(selector);
+
+  await chrome.storage.local.set({ hideSelectorsBySite: { ...hideSelectorsBySite, [site]: selectors.join('\n') } });
+  showNotification(`Hidden in captures on ${site}: ${selector}`, 'success');
+}
+
 /**
  * Message handler
  * Routes messages from popup and service worker
@@ -177,7 +331,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     switch (message.action) {
       case 'getState':
         // Return current selection state
-        sendResponse({ isSelecting: elementSelector.isSelecting() });
+        sendResponse({ isSelecting: elementSelector.isSelecting() || regionSelector.isSelecting() });
         break;
 
       case 'startSelection':
@@ -186,9 +340,26 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         sendResponse({ success: true });
         break;
 
+      case 'startHidePicker':
+        // Click elements to add them to the hide list, Escape to finish
+        elementSelector.start(element => {
+          handleHidePick(element).catch(error => {
+            showNotification(`Failed to update hide list: ${error.message}`, 'error');
+          });
+        });
+        sendResponse({ success: true });
+        break;
+
+      case 'startRegionSelection':
+        // Start drag-to-select region mode
+        regionSelector.start();
+        sendResponse({ success: true });
+        break;
+
       case 'cancelSelection':
-        // Cancel element selection mode
+        // Cancel element or region selection mode
         elementSelector.stop();
+        regionSelector.stop();
         sendResponse({ success: true });
         break;
 
@@ -205,51 +376,105 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         sendResponse({ success: true });
         break;
 
-      case 'scrollToPosition':
-        // Service worker requests scroll to specific position
-        window.scrollTo({
-          left: message.x,
-          top: message.y,
-          behavior: 'smooth'  // Smooth scroll for better UX
-        });
+      case 'prepareFixedElements':
+        // Detect fixed/sticky elements before the first full-page tile
+        fixedElementsState = prepareFixedElements();
+        sendResponse({ success: true });
+        break;
 
-        // Wait for smooth scroll to complete by checking when position stabilizes
-        await new Promise(resolve => {
-          let lastX = window.scrollX;
-          let lastY = window.scrollY;
-          let stableCount = 0;
-
-          const checkStable = () => {
-            const currentX = window.scrollX;
-            const currentY = window.scrollY;
-
-            // Check if scroll position has stabilized (hasn't changed for 2 consecutive checks)
-            if (Math.abs(currentX - lastX) < 1 && Math.abs(currentY - lastY) < 1) {
-              stableCount++;
-              if (stableCount >= 2) {
-                // Position is stable, wait a bit more for rendering
-                setTimeout(resolve, 100);
-                return;
-              }
-            } else {
-              stableCount = 0;
-            }
-
-            lastX = currentX;
-            lastY = currentY;
-
-            // Check again in next frame
-            requestAnimationFrame(checkStable);
-          };
-
-          // Start checking after initial delay
-          setTimeout(() => requestAnimationFrame(checkStable), 50);
-        });
+      case 'updateFixedElements':
+        // Show fixed elements only in the first or last tile row
+        if (fixedElementsState) {
+          fixedElementsState.update(message.firstRow, message.lastRow);
+        }
+        sendResponse({ success: true });
+        break;
+
+      case 'restoreFixedElements':
+        // Restore original inline styles after the last tile
+        restoreFixedElements(fixedElementsState);
+        fixedElementsState = null;
+        sendResponse({ success: true });
+        break;
+
+      case 'isolateForPrint':
+        // Print only the selected element (PDF export)
+        try {
+          const element = findElement(message.selector);
+          if (!element) throw new Error('Element not found');
+
+          restorePrint(printState);
+          printState = isolateForPrint(element);
+          sendResponse({ success: true });
+        } catch (error) {
+          sendResponse({ success: false, error: error.message });
+        }
+        break;
+
+      case 'measurePrintLayout':
+        // Printed size for a single tall PDF page
+        sendResponse(measurePrintLayout(message.element));
+        break;
+
+      case 'restorePrint':
+        // Remove the print isolation after the PDF is saved
+        restorePrint(printState);
+        printState = null;
+        sendResponse({ success: true });
+        break;
+
+      case 'isolateBackdrop':
+        // Show only the element, over a solid backdrop (transparent background)
+        try {
+          const element = findElement(message.selector);
+          if (!element) throw new Error('Element not found');
+
+          restoreBackdrop(backdropState);
+          backdropState = isolateBackdrop(element, message.color);
+          await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+          sendResponse({ success: true });
+        } catch (error) {
+          sendResponse({ success: false, error: error.message });
+        }
+        break;
+
+      case 'setBackdropColor':
+        // Switch the backdrop between the two capture passes
+        if (backdropState) {
+          backdropState.setColor(message.color);
+          await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+        }
+        sendResponse({ success: true });
+        break;
+
+      case 'restoreBackdrop':
+        // Show the page again after the second pass
+        restoreBackdrop(backdropState);
+        backdropState = null;
+        sendResponse({ success: true });
+        break;
+
+      case 'scrollToPosition': {
+        // Service worker requests scroll to specific position, either of
+        // the window or of the scroll container being captured
+        const target = message.target === 'container' && elementSelector.scrollContainer
+          ? elementSelector.scrollContainer.element
+          : window;
 
         // Return actual scroll position (may differ from target if at document bounds)
-        const actualScroll = getScrollOffsets();
+        const actualScroll = await scrollAndSettle(target, message.x, message.y);
         sendResponse({ scroll: actualScroll });
         break;
+      }
+
+      case 'restoreScrollContainer':
+        // Restore scroll container position after multi-capture
+        if (elementSelector.scrollContainer) {
+          elementSelector.scrollContainer.restore();
+          elementSelector.scrollContainer = null;
+        }
+        sendResponse({ success: true });
+        break;
 
       case 'showDebugBorder':
         // Show debug border for tile capture visualization
@@ -275,6 +500,62 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         sendResponse({ success: true });
         break;
 
+      case 'measureElement':
+        // Element geometry at the current (emulated) viewport width;
+        // null skips this width
+        try {
+          sendResponse(await handleMeasureElement(message.selector));
+        } catch (error) {
+          console.error('Failed to measure element:', error);
+          sendResponse(null);
+        }
+        break;
+
+      case 'captureContextTarget':
+        // Capture the element under the context menu
+        try {
+          await handleContextCapture(message);
+          sendResponse({ success: true });
+        } catch (error) {
+          console.error('Context menu capture failed:', error);
+          showNotification(`Capture failed: ${error.message}`, 'error');
+          sendResponse({ success: false, error: error.message });
+        }
+        break;
+
+      case 'repeatCapture':
+        // Repeat the previous capture on this page
+        try {
+          await handleRepeatCapture(message.capture);
+          sendResponse({ success: true });
+        } catch (error) {
+          console.error('Repeat capture failed:', error);
+          showNotification(`Repeat capture failed: ${error.message}`, 'error');
+          sendResponse({ success: false, error: error.message });
+        }
+        break;
+
+      case 'captureRecipe':
+        // Capture a saved recipe's element without hovering
+        try {
+          await handleRecipeCapture(message.recipe);
+          sendResponse({ success: true });
+        } catch (error) {
+          console.error('Recipe capture failed:', error);
+          showNotification(`Recipe "${message.recipe?.name}" failed: ${error.message}`, 'error');
+          sendResponse({ success: false, error: error.message });
+        }
+        break;
+
+      case 'captureAllMatching':
+        // Runs in the background; the batch shows its own progress and result
+        batchCapture.start(message.selector).catch(error => {
+          console.error('Batch capture failed:', error);
+          showNotification(`Batch capture failed: ${error.message}`, 'error');
+        });
+        sendResponse({ success: true });
+        break;
+
       case 'copyToClipboard':
         // Copy image to clipboard
         await handleClipboardCopy(message.dataUrl);
@@ -0,0 +1,18 @@
+/**
+ * Context menu target tracking
+ * Remembers what was right-clicked once the capture scripts are in the
+ * page, so "Snap this element" captures exactly that element. The first
+ * right-click before they're injected is resolved from what the menu
+ * reports instead (see findContextTarget).
+ */
+
+// Last right-clicked element and pointer position (viewport coordinates)
+let lastContextTarget = null;
+
+document.addEventListener('contextmenu', (event) => {
+  lastContextTarget = {
+    element: event.target,
+    x: event.clientX,
+    y: event.clientY
+  };
+}, true);
@@ -1,32 +1,57 @@
 /**
  * Element selector module
- * Handles element hover highlighting and click capture
+ * Handles element hover highlighting, keyboard traversal and click capture
  */
 
+// Keys that walk the DOM from the highlighted element
+const TRAVERSAL_KEYS = {
+  ArrowUp: 'parent',
+  '[': 'parent',
+  ArrowDown: 'child',
+  ']': 'child',
+  ArrowLeft: 'previous',
+  ArrowRight: 'next'
+};
+
 class ElementSelector {
   constructor() {
     this.isActive = false;
     this.currentElement = null;
+    this.hoveredElement = null;
+    this.scrollContainer = null;
+    this.onPick = null;
+    this.overlay = new HighlightOverlay();
     this.boundMouseMove = this.handleMouseMove.bind(this);
     this.boundClick = this.handleClick.bind(this);
+    this.boundKeyDown = this.handleKeyDown.bind(this);
   }
 
   /**
    * Start selection mode
    * Enables hover highlighting and click capture
+   * @param {Function} onPick - Optional handler receiving clicked elements instead of
+   *   capturing them (hide list picker); selection then stays on until Escape
    */
-  start() {
+  start(onPick = null) {
     if (this.isActive) return;
 
     this.isActive = true;
-    injectHighlightStyles();
+    this.onPick = onPick;
+
+    // Preview the capture bounds (not needed for picking)
+    this.overlay.setBounds(null);
+    if (!onPick) {
+      getCaptureBounds().then(bounds => {
+        if (this.isActive && !this.onPick) this.overlay.setBounds(bounds);
+      });
+    }
 
     // Add event listeners using capture phase
     document.addEventListener('mousemove', this.boundMouseMove, true);
     document.addEventListener('click', this.boundClick, true);
+    document.addEventListener('keydown', this.boundKeyDown, true);
 
-    // Change cursor
-    document.body.style.cursor = 'crosshair';
+    this.overlay.setCursor(true);
   }
 
   /**
@@ -37,19 +62,18 @@ class ElementSelector {
     if (!this.isActive) return;
 
     this.isActive = false;
+    this.onPick = null;
 
     // Remove event listeners
     document.removeEventListener('mousemove', this.boundMouseMove, true);
     document.removeEventListener('click', this.boundClick, true);
+    document.removeEventListener('keydown', this.boundKeyDown, true);
 
-    // Clear current highlight
-    if (this.currentElement) {
-      this.currentElement.classList.remove('element-screenshot-highlight');
-      this.currentElement = null;
-    }
-
-    // Restore cursor
-    document.body.style.cursor = '';
+    // Clear current highlight and cursor
+    this.overlay.hide();
+    this.overlay.setCursor(false);
+    this.currentElement = null;
+    this.hoveredElement = null;
   }
 
   /**
@@ -63,16 +87,69 @@ class ElementSelector {
     // Get element under cursor
     const element = document.elementFromPoint(event.clientX, event.clientY);
 
-    if (!element || element === this.currentElement) return;
+    // Compare with last hovered element (not the highlight) so small mouse
+    // movements don't undo keyboard traversal
+    if (!element || element === this.hoveredElement) return;
 
-    // Remove previous highlight
-    if (this.currentElement) {
-      this.currentElement.classList.remove('element-screenshot-highlight');
-    }
+    this.hoveredElement = element;
+    this.highlight(element);
+  }
+
+  /**
+   * Move highlight to element
+   * Overlay label shows the path of what will be captured, e.g. main > section.pricing > div.card
+   * @param {HTMLElement} element - Element to highlight
+   */
+  highlight(element) {
+    if (element === this.currentElement) return;
 
-    // Add new highlight
     this.currentElement = element;
-    element.classList.add('element-screenshot-highlight');
+    this.overlay.show(element, this.onPick ? `Hide: ${getElementPath(element)}` : getElementPath(element));
+  }
+
+  /**
+   * Handle key down event
+   * Arrows and [ ] walk the DOM, Enter captures, Escape cancels
+   * @param {KeyboardEvent} event - Key down event
+   */
+  handleKeyDown(event) {
+    if (!this.isActive) return;
+
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      event.stopPropagation();
+      this.stop();
+      return;
+    }
+
+    if (event.key === 'Enter') {
+      if (!this.currentElement) return;
+
+      event.preventDefault();
+      event.stopPropagation();
+
+      const element = this.currentElement;
+      if (this.onPick) {
+        this.onPick(element);
+        return;
+      }
+
+      this.stop();
+      this.captureElement(element);
+      return;
+    }
+
+    const direction = TRAVERSAL_KEYS[event.key];
+    if (!direction || !this.currentElement) return;
+
+    event.preventDefault();
+    event.stopPropagation();
+
+    const target = findTraversalTarget(this.currentElement, direction);
+    if (target) {
+      this.highlight(target);
+      target.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+    }
   }
 
   /**
@@ -88,16 +165,37 @@ class ElementSelector {
     event.stopPropagation();
     event.stopImmediatePropagation();
 
-    const element = event.target;
+    // Prefer the highlighted element when keyboard traversal moved it to an ancestor
+    const element = this.currentElement && this.currentElement.contains(event.target)
+      ? this.currentElement
+      : event.target;
+
+    if (this.onPick) {
+      this.onPick(element);
+      return;
+    }
 
     // Stop selection mode
     this.stop();
 
+    await this.captureElement(element);
+  }
+
+  /**
+   * Capture element
+   * Sends element geometry to the service worker for capture
+   * @param {HTMLElement} element - Element to capture
+   * @param {object} options - Optional fullCapture (context menu, recipes) and format (recipes)
+   *   overriding the settings, and batch (id, index, total) for batch captures
+   * @returns {Promise<object|undefined>} Service worker response
+   */
+  async captureElement(element, options = {}) {
     // Load settings
-    const settings = await chrome.storage.local.get(['fullCapture', 'debugMode', 'delay']);
-    const fullCapture = settings.fullCapture || false;
+    const settings = await chrome.storage.local.get(['fullCapture', 'debugMode', 'delay', 'breakpointsEnabled', 'htmlSnapshot']);
+    const fullCapture = options.fullCapture ?? settings.fullCapture ?? false;
     const debugMode = settings.debugMode || false;
-    const delay = settings.delay || 0;
+    // Batches count down once, before the first element
+    const delay = options.batch ? 0 : settings.delay || 0;
 
     // Show countdown if delay is enabled
     if (delay > 0) {
@@ -105,69 +203,142 @@ class ElementSelector {
       await showCountdownOverlay(delay);
     }
 
+    // Markup and styles instead of an image
+    if (settings.htmlSnapshot && !options.batch) {
+      await this.exportHtmlSnapshot(element);
+      return;
+    }
+
+    // Responsive breakpoints: the service worker resizes the viewport and
+    // measures the element again at every width
+    if (settings.breakpointsEnabled && !options.batch) {
+      await this.captureAtBreakpoints(element);
+      return;
+    }
+
     // Only scroll into view if full capture mode is enabled
     // For regular capture, we want exactly what the user sees
     if (fullCapture) {
       await scrollIntoView(element);
     }
 
-    // Get element position data
-    const rect = getElementRect(element);
-    const scroll = getScrollOffsets();
-    const docDims = getDocumentDimensions();
-    const dpr = window.devicePixelRatio || 1;
-
-    // Check for cross-origin iframe
-    const isCrossOrigin = isCrossOriginIframe(element);
-
-    // Prepare capture data
-    const captureData = {
-      rect: rect,
-      scroll: scroll,
-      documentDimensions: docDims,
-      devicePixelRatio: dpr,
-      isCrossOriginIframe: isCrossOrigin,
-      debugMode: debugMode,
-      elementInfo: {
-        tagName: element.tagName,
-        id: element.id || null,
-        className: element.className || null,
-        textContent: element.textContent?.substring(0, 50) || null
-      },
-      viewport: {
-        width: window.innerWidth,
-        height: window.innerHeight
-      },
-      timestamp: Date.now()
-    };
-
     try {
-      // Notify popup that capture started
-      chrome.runtime.sendMessage({ action: 'captureStarted' });
+      // Area around the element (margins, shadows, padding) per the bounds settings
+      const rect = getCaptureRect(element, await getCaptureBounds());
+
+      // Element that scrolls its own content (or sits in one) is captured by
+      // scrolling that container instead of the window
+      const container = fullCapture ? findScrollContainer(element) : null;
+      this.scrollContainer = container ? prepareScrollContainer(container, element, rect) : null;
+
+      // Get element position data
+      const scroll = getScrollOffsets();
+      const docDims = getDocumentDimensions();
+      const dpr = window.devicePixelRatio || 1;
+
+      // Check for cross-origin iframe
+      const isCrossOrigin = isCrossOriginIframe(element);
+
+      // Prepare capture data
+      const captureData = {
+        rect: rect,
+        scroll: scroll,
+        documentDimensions: docDims,
+        devicePixelRatio: dpr,
+        isCrossOriginIframe: isCrossOrigin,
+        scrollContainer: this.scrollContainer ? this.scrollContainer.geometry : null,
+        debugMode: debugMode,
+        fullCapture: fullCapture,
+        format: options.format || null,
+        batch: options.batch || null,
+        elementInfo: getElementInfo(element),
+        viewport: {
+          width: window.innerWidth,
+          height: window.innerHeight
+        },
+        timestamp: Date.now()
+      };
 
       // Request screenshot from service worker
-      const response = await chrome.runtime.sendMessage({
-        action: 'captureElement',
-        data: captureData
+      return await requestCapture('captureElement', captureData);
+    } catch (error) {
+      console.error('Capture failed:', error);
+      chrome.runtime.sendMessage({
+        action: 'captureError',
+        error: error.message
       });
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Save element as a standalone HTML file (HTML Snapshot setting)
+   * @param {HTMLElement} element - Element to export
+   */
+  async exportHtmlSnapshot(element) {
+    chrome.runtime.sendMessage({ action: 'captureStarted' });
 
-      if (response.success) {
-        if (response.action === 'download') {
-          showNotification('Screenshot saved to downloads', 'success');
-        }
-        chrome.runtime.sendMessage({ action: 'captureSuccess' });
-      } else {
-        chrome.runtime.sendMessage({
-          action: 'captureError',
-          error: response.error
-        });
+    try {
+      const html = await createHtmlSnapshot(element);
+
+      // Enough capture data for filename templates
+      const data = {
+        rect: getElementRect(element),
+        devicePixelRatio: window.devicePixelRatio || 1,
+        elementInfo: getElementInfo(element),
+        page: { url: location.href, title: document.title }
+      };
+
+      const response = await chrome.runtime.sendMessage({ action: 'saveHtmlSnapshot', data, html });
+      if (!response.success) {
+        throw new Error(response.error);
       }
+
+      showNotification('HTML snapshot saved to downloads', 'success');
+      chrome.runtime.sendMessage({ action: 'captureSuccess', result: response.action });
     } catch (error) {
-      console.error('Capture failed:', error);
+      console.error('HTML snapshot failed:', error);
+      showNotification(`HTML snapshot failed: ${error.message}`, 'error');
+      chrome.runtime.sendMessage({
+        action: 'captureError',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Capture element at every configured viewport width
+   * The scroll position is restored afterwards, since layout at other
+   * widths moves it
+   * @param {HTMLElement} element - Element to capture
+   */
+  async captureAtBreakpoints(element) {
+    const scroll = getScrollOffsets();
+
+    try {
+      const captureData = {
+        rect: getCaptureRect(element, await getCaptureBounds()),
+        scroll: scroll,
+        documentDimensions: getDocumentDimensions(),
+        devicePixelRatio: window.devicePixelRatio || 1,
+        scrollContainer: null,
+        elementInfo: getElementInfo(element),
+        viewport: {
+          width: window.innerWidth,
+          height: window.innerHeight
+        },
+        timestamp: Date.now()
+      };
+
+      await requestCapture('captureBreakpoints', captureData);
+    } catch (error) {
+      console.error('Breakpoint capture failed:', error);
       chrome.runtime.sendMessage({
         action: 'captureError',
         error: error.message
       });
+    } finally {
+      window.scrollTo({ left: scroll.x, top: scroll.y, behavior: 'instant' });
     }
   }
 
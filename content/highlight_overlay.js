@@ -0,0 +1,248 @@
+/**
+ * Highlight overlay module
+ * Draws the hover highlight inside a closed shadow root so the page's
+ * own DOM, classes and styles are never touched during selection
+ */
+
+// DevTools-style box model colors
+const HIGHLIGHT_COLORS = {
+  margin: 'rgba(246, 178, 107, 0.66)',
+  border: 'rgba(255, 229, 153, 0.66)',
+  padding: 'rgba(147, 196, 125, 0.55)',
+  content: 'rgba(111, 168, 220, 0.66)',
+  capture: 'rgba(217, 70, 239, 0.9)'
+};
+
+// Crosshair cursor while selecting, adopted into the document so no page
+// element's style is changed (the overlay itself doesn't take pointer events)
+const SELECTION_CURSOR_SHEET = new CSSStyleSheet();
+SELECTION_CURSOR_SHEET.replaceSync('*, *::before, *::after { cursor: crosshair !important; }');
+
+class HighlightOverlay {
+  constructor() {
+    this.host = null;
+    this.parts = null;
+    this.target = null;
+    this.label = '';
+    this.bounds = null;
+    this.extents = null;
+    this.frame = null;
+    this.boundUpdate = this.update.bind(this);
+  }
+
+  /**
+   * Show overlay over element
+   * @param {HTMLElement} element - Element to highlight
+   * @param {string} label - Text for the label (e.g. breadcrumb path)
+   */
+  show(element, label) {
+    if (element !== this.target) this.extents = null;
+
+    this.target = element;
+    this.label = label;
+
+    if (!this.host) this.createHost();
+    if (!this.frame) this.frame = requestAnimationFrame(this.boundUpdate);
+
+    this.render();
+  }
+
+  /**
+   * Outline the area a click will capture (see getCaptureBounds)
+   * @param {object|null} bounds - Capture bounds, null to show only the box model
+   */
+  setBounds(bounds) {
+    this.bounds = bounds;
+    this.extents = null;
+    this.render();
+  }
+
+  /**
+   * Hide overlay and stop following the target
+   */
+  hide() {
+    if (this.frame) {
+      cancelAnimationFrame(this.frame);
+      this.frame = null;
+    }
+
+    if (this.host) {
+      this.host.remove();
+      this.host = null;
+      this.parts = null;
+    }
+
+    this.target = null;
+  }
+
+  /**
+   * Show or remove the selection cursor
+   * @param {boolean} enabled - Whether the crosshair cursor is shown
+   */
+  setCursor(enabled) {
+    const sheets = document.adoptedStyleSheets.filter(sheet => sheet !== SELECTION_CURSOR_SHEET);
+    document.adoptedStyleSheets = enabled ? [...sheets, SELECTION_CURSOR_SHEET] : sheets;
+  }
+
+  /**
+   * Create isolated host element with a closed shadow root
+   */
+  createHost() {
+    const host = document.createElement('element-snapper-highlight');
+    host.style.cssText = `
+      all: initial !important;
+      position: fixed !important;
+      inset: 0 !important;
+      pointer-events: none !important;
+      z-index: 2147483647 !important;
+    `;
+
+    const shadow = host.attachShadow({ mode: 'closed' });
+    shadow.innerHTML = `
+      <style>
+        .box {
+          position: fixed;
+          box-sizing: border-box;
+          border-style: solid;
+          border-color: transparent;
+        }
+        .margin { border-color: ${HIGHLIGHT_COLORS.margin}; }
+        .border { border-color: ${HIGHLIGHT_COLORS.border}; }
+        .padding { border-color: ${HIGHLIGHT_COLORS.padding}; }
+        .content { background: ${HIGHLIGHT_COLORS.content}; border-width: 0; }
+        .capture { border: 2px dashed ${HIGHLIGHT_COLORS.capture}; }
+        .label {
+          position: fixed;
+          max-width: 480px;
+          padding: 3px 8px;
+          border-radius: 4px;
+          background: rgba(15, 23, 42, 0.95);
+          color: white;
+          font: 500 12px monospace;
+          line-height: 18px;
+          white-space: nowrap;
+          overflow: hidden;
+          text-overflow: ellipsis;
+        }
+        .size {
+          color: #94a3b8;
+          margin-left: 8px;
+        }
+      </style>
+      <div class="box margin"></div>
+      <div class="box border"></div>
+      <div class="box padding"></div>
+      <div class="box content"></div>
+      <div class="box capture"></div>
+      <div class="label"><span class="path"></span><span class="size"></span></div>
+    `;
+
+    this.parts = {
+      margin: shadow.querySelector('.margin'),
+      border: shadow.querySelector('.border'),
+      padding: shadow.querySelector('.padding'),
+      content: shadow.querySelector('.content'),
+      capture: shadow.querySelector('.capture'),
+      label: shadow.querySelector('.label'),
+      path: shadow.querySelector('.path'),
+      size: shadow.querySelector('.size')
+    };
+
+    document.documentElement.appendChild(host);
+    this.host = host;
+  }
+
+  /**
+   * Animation frame loop
+   * Keeps overlay aligned while the page scrolls, resizes or animates
+   */
+  update() {
+    this.frame = requestAnimationFrame(this.boundUpdate);
+    this.render();
+  }
+
+  /**
+   * Position margin, border, padding and content bands over the target
+   */
+  render() {
+    if (!this.parts || !this.target) return;
+
+    const rect = this.target.getBoundingClientRect();
+    const style = getComputedStyle(this.target);
+    const px = name => Math.max(0, parseFloat(style[name]) || 0);
+
+    const margin = [px('marginTop'), px('marginRight'), px('marginBottom'), px('marginLeft')];
+    const border = [px('borderTopWidth'), px('borderRightWidth'), px('borderBottomWidth'), px('borderLeftWidth')];
+    const padding = [px('paddingTop'), px('paddingRight'), px('paddingBottom'), px('paddingLeft')];
+
+    const borderBox = { x: rect.left, y: rect.top, width: rect.width, height: rect.height };
+    const marginBox = expandBox(borderBox, margin);
+    const paddingBox = expandBox(borderBox, border.map(v => -v));
+    const contentBox = expandBox(paddingBox, padding.map(v => -v));
+
+    placeBox(this.parts.margin, marginBox, margin);
+    placeBox(this.parts.border, borderBox, border);
+    placeBox(this.parts.padding, paddingBox, padding);
+    placeBox(this.parts.content, contentBox);
+
+    // Capture area, outlined when the bounds settings reach past the border box
+    // Extents are measured once per target; they only move with it
+    if (this.bounds && !this.extents) {
+      this.extents = getBoundsExtents(this.target, this.bounds);
+    }
+
+    const extended = !!this.extents && this.extents.some(extent => extent !== 0);
+    const captureBox = extended ? expandBox(borderBox, this.extents) : borderBox;
+    this.parts.capture.style.display = extended ? '' : 'none';
+    if (extended) placeBox(this.parts.capture, captureBox);
+
+    // Label above the margin box, below it when there is no room, inside as last resort
+    this.parts.path.textContent = this.label;
+    this.parts.size.textContent = `${Math.round(captureBox.width)} × ${Math.round(captureBox.height)}`;
+
+    const outerTop = Math.min(marginBox.y, captureBox.y);
+    const outerBottom = Math.max(marginBox.y + marginBox.height, captureBox.y + captureBox.height);
+    const labelHeight = 24;
+    let top = outerTop - labelHeight - 4;
+    if (top < 0) {
+      const below = outerBottom + 4;
+      top = below + labelHeight <= window.innerHeight ? below : Math.max(0, rect.top) + 4;
+    }
+
+    this.parts.label.style.top = `${top}px`;
+    this.parts.label.style.left = `${Math.min(Math.max(4, marginBox.x), Math.max(4, window.innerWidth - 484))}px`;
+  }
+}
+
+/**
+ * Grow (or shrink, with negative values) a box by per-side amounts
+ * @param {object} box - Box with x, y, width, height
+ * @param {number[]} sides - Amounts for top, right, bottom, left
+ * @returns {object} New box
+ */
+function expandBox(box, [top, right, bottom, left]) {
+  return {
+    x: box.x - left,
+    y: box.y - top,
+    width: Math.max(0, box.width + left + right),
+    height: Math.max(0, box.height + top + bottom)
+  };
+}
+
+/**
+ * Position an overlay band
+ * Border widths paint the band, leaving the inner area transparent
+ * @param {HTMLElement} node - Band element
+ * @param {object} box - Outer box of the band
+ * @param {number[]} widths - Band widths for top, right, bottom, left
+ */
+function placeBox(node, box, widths) {
+  node.style.left = `${box.x}px`;
+  node.style.top = `${box.y}px`;
+  node.style.width = `${box.width}px`;
+  node.style.height = `${box.height}px`;
+
+  if (widths) {
+    node.style.borderWidth = widths.map(w => `${w}px`).join(' ');
+  }
+}
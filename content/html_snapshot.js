@@ -0,0 +1,416 @@
+/**
+ * HTML snapshot module
+ * Serializes an element into a standalone HTML file: markup with computed
+ * styles inlined, and same-origin images and fonts embedded as data URIs
+ */
+
+// Elements dropped from snapshots (nothing to show, or live behaviour)
+const SNAPSHOT_SKIPPED_TAGS = new Set(['SCRIPT', 'NOSCRIPT', 'TEMPLATE', 'STYLE', 'LINK', 'META']);
+
+// SVG animations that could set a link to a javascript: URL
+const SNAPSHOT_SMIL_TAGS = new Set(['set', 'animate']);
+
+// Attributes holding URLs, made absolute so they work from the saved file
+const SNAPSHOT_URL_ATTRIBUTES = ['src', 'href', 'poster', 'action'];
+
+// Larger snapshots can't be sent to the service worker in one message
+const MAX_SNAPSHOT_LENGTH = 50 * 1024 * 1024;
+
+/**
+ * Build a standalone HTML document for an element
+ * @param {HTMLElement} element - Element to serialize
+ * @returns {Promise<string>} HTML document
+ */
+async function createHtmlSnapshot(element) {
+  const defaults = createDefaultStyleLookup();
+  const resources = new Map();
+  const fontFamilies = new Set();
+  const pseudoRules = [];
+  const pending = [];
+
+  let clone;
+  try {
+    clone = element.cloneNode(true);
+
+    // Pairs of page element and copy, in the same document order
+    const originals = [element, ...element.querySelectorAll('*')];
+    const copies = [clone, ...clone.querySelectorAll('*')];
+
+    originals.forEach((original, index) => {
+      const copy = copies[index];
+      if (isSnapshotSkipped(original)) return;
+
+      const style = getComputedStyle(original);
+      style.fontFamily.split(',').forEach(family => fontFamilies.add(family.trim().replace(/^["']|["']$/g, '')));
+
+      addPseudoElementRules(original, copy, index, defaults, pseudoRules);
+      copyLiveState(original, copy);
+
+      // Styles first: canvases are swapped for images that take over the style
+      const defaultStyle = defaults.get(original);
+      pending.push(inlineComputedStyle(copy, style, defaultStyle, resources)
+        .then(() => inlineElementResources(original, copy, resources)));
+    });
+
+    copies.forEach(copy => {
+      if (isSnapshotSkipped(copy)) copy.remove();
+    });
+  } finally {
+    defaults.release();
+  }
+
+  await Promise.all(pending);
+
+  // The snapshot starts at the top left, whatever its position on the page
+  clone.style.setProperty('position', 'relative');
+  clone.style.setProperty('inset', 'auto');
+  clone.style.setProperty('margin', '0');
+
+  const fontRules = await collectFontFaceRules(fontFamilies, resources);
+  const html = buildSnapshotDocument(clone, [...fontRules, ...pseudoRules]);
+
+  if (html.length > MAX_SNAPSHOT_LENGTH) {
+    throw new Error(`Snapshot too large (${Math.round(html.length / 1024 / 1024)} MB)`);
+  }
+
+  return html;
+}
+
+/**
+ * Default styles per element type, read from a blank hidden frame
+ * Only properties that differ from these are inlined, which keeps
+ * snapshots a fraction of the size of full computed styles
+ * @returns {object} Object with get(element) and release()
+ */
+function createDefaultStyleLookup() {
+  const frame = document.createElement('iframe');
+  frame.setAttribute('aria-hidden', 'true');
+  frame.style.cssText = 'position: fixed; left: -10000px; top: 0; width: 1280px; height: 800px; border: 0; visibility: hidden;';
+  document.documentElement.appendChild(frame);
+
+  const frameDocument = frame.contentDocument;
+  frameDocument.open();
+  frameDocument.write('<!DOCTYPE html><html><head></head><body></body></html>');
+  frameDocument.close();
+
+  const cache = new Map();
+
+  return {
+    get(element) {
+      const key = `${element.namespaceURI} ${element.localName}`;
+
+      if (!cache.has(key)) {
+        const probe = frameDocument.createElementNS(element.namespaceURI, element.localName);
+        frameDocument.body.appendChild(probe);
+
+        const style = frame.contentWindow.getComputedStyle(probe);
+        const values = {};
+        for (let i = 0; i < style.length; i++) {
+          values[style[i]] = style.getPropertyValue(style[i]);
+        }
+
+        probe.remove();
+        cache.set(key, values);
+      }
+
+      return cache.get(key);
+    },
+
+    release() {
+      frame.remove();
+    }
+  };
+}
+
+/**
+ * Computed declarations that differ from the element type's defaults
+ * @param {CSSStyleDeclaration} style - Computed style
+ * @param {object} defaults - Default values by property
+ * @returns {string[]} Declarations like "color: rgb(0, 0, 0)"
+ */
+function getStyleDeclarations(style, defaults) {
+  const declarations = [];
+
+  for (let i = 0; i < style.length; i++) {
+    const property = style[i];
+    if (property.startsWith('--')) continue;
+
+    const value = style.getPropertyValue(property);
+    if (value !== defaults[property]) {
+      declarations.push(`${property}: ${value}`);
+    }
+  }
+
+  return declarations;
+}
+
+/**
+ * Replace the copy's style attribute with its computed style
+ * @param {HTMLElement} copy - Element in the snapshot
+ * @param {CSSStyleDeclaration} style - Computed style of the page element
+ * @param {object} defaults - Default values by property
+ * @param {Map} resources - Inlined resources by URL
+ * @returns {Promise<void>}
+ */
+async function inlineComputedStyle(copy, style, defaults, resources) {
+  const declarations = getStyleDeclarations(style, defaults);
+  const inlined = await Promise.all(declarations.map(declaration => (
+    declaration.includes('url(') ? inlineCssUrls(declaration, document.baseURI, resources) : declaration
+  )));
+
+  copy.setAttribute('style', inlined.join('; '));
+}
+
+/**
+ * Turn ::before and ::after content into rules for the snapshot's style sheet
+ * @param {HTMLElement} original - Page element
+ * @param {HTMLElement} copy - Element in the snapshot
+ * @param {number} index - Element number, used as its snapshot ID
+ * @param {object} defaults - Default style lookup
+ * @param {string[]} rules - Collected rules
+ */
+function addPseudoElementRules(original, copy, index, defaults, rules) {
+  ['::before', '::after'].forEach(pseudo => {
+    const style = getComputedStyle(original, pseudo);
+    if (!style.content || style.content === 'none' || style.content === 'normal') return;
+
+    // Pseudo-elements are inline boxes by default, like <span>
+    const declarations = getStyleDeclarations(style, defaults.get(document.createElement('span')));
+    if (!declarations.some(declaration => declaration.startsWith('content:'))) {
+      declarations.push(`content: ${style.content}`);
+    }
+
+    copy.setAttribute('data-snapshot-id', index);
+    rules.push(`[data-snapshot-id="${index}"]${pseudo} { ${declarations.join('; ')}; }`);
+  });
+}
+
+/**
+ * Check whether an element is left out of snapshots
+ * @param {Element} element - Page element or its copy
+ * @returns {boolean} True for skipped tags and SVG animations of href
+ */
+function isSnapshotSkipped(element) {
+  if (SNAPSHOT_SKIPPED_TAGS.has(element.tagName)) return true;
+
+  return SNAPSHOT_SMIL_TAGS.has(element.tagName) &&
+    /^(xlink:)?href$/i.test(element.getAttribute('attributeName')?.trim() || '');
+}
+
+/**
+ * Copy state that lives in properties rather than attributes
+ * (form values, checkboxes, selections) and drop event handlers,
+ * javascript: URLs and iframe srcdoc documents
+ * @param {HTMLElement} original - Page element
+ * @param {HTMLElement} copy - Element in the snapshot
+ */
+function copyLiveState(original, copy) {
+  // Browsers ignore tabs and line breaks inside a URL's scheme
+  [...copy.attributes]
+    .filter(attribute => attribute.name.startsWith('on') || attribute.name === 'srcdoc' ||
+      /^\s*javascript:/i.test(attribute.value.replace(/[\t\n\r]/g, '')))
+    .forEach(attribute => copy.removeAttribute(attribute.name));
+
+  if (original instanceof HTMLInputElement) {
+    if (original.type === 'password') {
+      copy.removeAttribute('value');
+    } else if (original.type === 'checkbox' || original.type === 'radio') {
+      copy.toggleAttribute('checked', original.checked);
+    } else if (original.type !== 'file') {
+      copy.setAttribute('value', original.value);
+    }
+  } else if (original instanceof HTMLTextAreaElement) {
+    copy.textContent = original.value;
+  } else if (original instanceof HTMLOptionElement) {
+    copy.toggleAttribute('selected', original.selected);
+  } else if (original instanceof HTMLDetailsElement) {
+    copy.toggleAttribute('open', original.open);
+  }
+}
+
+/**
+ * Make URLs absolute and embed same-origin images as data URIs
+ * Canvases are replaced with an image of their current content
+ * @param {HTMLElement} original - Page element
+ * @param {HTMLElement} copy - Element in the snapshot
+ * @param {Map} resources - Inlined resources by URL
+ * @returns {Promise<void>}
+ */
+async function inlineElementResources(original, copy, resources) {
+  SNAPSHOT_URL_ATTRIBUTES.forEach(attribute => {
+    const value = original.getAttribute(attribute);
+    if (value && !value.startsWith('#') && !/^(javascript|data):/i.test(value)) {
+      try {
+        copy.setAttribute(attribute, new URL(value, document.baseURI).href);
+      } catch (e) {
+        // Keep values that aren't URLs
+      }
+    }
+  });
+
+  if (original instanceof HTMLImageElement && original.currentSrc) {
+    // The chosen candidate replaces srcset, so the snapshot shows the same image
+    copy.removeAttribute('srcset');
+    copy.removeAttribute('sizes');
+    copy.setAttribute('src', await inlineResource(original.currentSrc, document.baseURI, resources) || original.currentSrc);
+  } else if (original instanceof HTMLCanvasElement) {
+    try {
+      const image = document.createElement('img');
+      image.src = original.toDataURL();
+      image.setAttribute('style', copy.getAttribute('style') || '');
+      copy.replaceWith(image);
+    } catch (e) {
+      // Tainted by cross-origin content, stays an empty canvas
+    }
+  }
+}
+
+/**
+ * Fetch a same-origin resource as a data URI
+ * Cross-origin resources stay links: the page's credentials and CORS rules
+ * don't allow reading them
+ * @param {string} url - Resource URL
+ * @param {string} baseUrl - URL relative ones are resolved against
+ * @param {Map} resources - Inlined resources by URL (promises, shared between elements)
+ * @returns {Promise<string|null>} Data URI, null when not inlined
+ */
+function inlineResource(url, baseUrl, resources) {
+  let absolute;
+  try {
+    absolute = new URL(url, baseUrl);
+  } catch (e) {
+    return Promise.resolve(null);
+  }
+
+  if (absolute.protocol === 'data:') return Promise.resolve(absolute.href);
+  if (absolute.origin !== location.origin) return Promise.resolve(null);
+
+  if (!resources.has(absolute.href)) {
+    resources.set(absolute.href, fetch(absolute.href)
+      .then(response => (response.ok ? response.blob() : null))
+      .then(blob => (blob ? readBlobAsDataUrl(blob) : null))
+      .catch(() => null));
+  }
+
+  return resources.get(absolute.href);
+}
+
+/**
+ * Read a blob as data URI
+ * @param {Blob} blob - Blob
+ * @returns {Promise<string>} Data URI
+ */
+function readBlobAsDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Embed same-origin url(...) references in CSS text, make others absolute
+ * @param {string} css - CSS text
+ * @param {string} baseUrl - URL relative ones are resolved against
+ * @param {Map} resources - Inlined resources by URL
+ * @returns {Promise<string>} CSS text
+ */
+async function inlineCssUrls(css, baseUrl, resources) {
+  const references = [...css.matchAll(/url\(\s*(['"]?)(.*?)\1\s*\)/g)];
+  let result = css;
+
+  for (const [match, , url] of references) {
+    let replacement;
+    try {
+      replacement = await inlineResource(url, baseUrl, resources) || new URL(url, baseUrl).href;
+    } catch (e) {
+      continue;
+    }
+    result = result.replace(match, `url("${replacement}")`);
+  }
+
+  return result;
+}
+
+/**
+ * Collect @font-face rules for the font families used in the snapshot
+ * Style sheets from other origins can't be read, so their fonts are missing
+ * @param {Set<string>} families - Font family names
+ * @param {Map} resources - Inlined resources by URL
+ * @returns {Promise<string[]>} Rules with same-origin font files embedded
+ */
+async function collectFontFaceRules(families, resources) {
+  const rules = [];
+
+  for (const sheet of document.styleSheets) {
+    let cssRules;
+    try {
+      cssRules = sheet.cssRules;
+    } catch (e) {
+      continue;
+    }
+
+    for (const rule of cssRules) {
+      if (!(rule instanceof CSSFontFaceRule)) continue;
+
+      const family = rule.style.getPropertyValue('font-family').trim().replace(/^["']|["']$/g, '');
+      if (families.has(family)) {
+        rules.push(await inlineCssUrls(rule.cssText, sheet.href || document.baseURI, resources));
+      }
+    }
+  }
+
+  return rules;
+}
+
+/**
+ * Escape text for an HTML attribute or text node
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeSnapshotText(text) {
+  return String(text).replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+}
+
+/**
+ * Keep collected CSS from closing the snapshot's <style> element
+ * "<\/" is the same text in CSS strings and URLs, e.g. content: "</style>"
+ * @param {string} css - Style sheet text
+ * @returns {string} Text safe inside <style>
+ */
+function escapeSnapshotRules(css) {
+  return css.replace(/<\//g, '<\\/');
+}
+
+/**
+ * Wrap the serialized element in a standalone document
+ * The page background is kept behind transparent elements
+ * @param {HTMLElement} clone - Styled copy of the element
+ * @param {string[]} rules - @font-face and pseudo-element rules
+ * @returns {string} HTML document
+ */
+function buildSnapshotDocument(clone, rules) {
+  const pageBackground = [document.body, document.documentElement]
+    .map(node => getComputedStyle(node).backgroundColor)
+    .find(color => color !== 'rgba(0, 0, 0, 0)' && color !== 'transparent') || '#ffffff';
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="source-url" content="${escapeSnapshotText(location.href)}">
+<meta name="captured-at" content="${new Date().toISOString()}">
+<title>${escapeSnapshotText(`${describeElement(clone)} · ${document.title || location.host}`)}</title>
+<style>
+body { margin: 0; padding: 16px; background: ${pageBackground}; }
+${escapeSnapshotRules(rules.join('\n'))}
+</style>
+</head>
+<body>
+${clone.outerHTML}
+</body>
+</html>
+`;
+}
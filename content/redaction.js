@@ -0,0 +1,201 @@
+/**
+ * Redaction module
+ * Covers sensitive text and elements with blur or solid overlays right
+ * before a capture. Overlays live in a closed shadow root, so the page's
+ * own DOM is never modified, and follow the page while tiles scroll.
+ */
+
+// Settings read by requestCapture before every capture
+const REDACTION_SETTING_KEYS = ['redactionEnabled', 'redactionStyle', 'redactionPresets', 'redactionPatterns', 'redactionSelectors'];
+
+/**
+ * Cover sensitive content
+ * @param {object} settings - Redaction settings (see REDACTION_SETTING_KEYS)
+ * @returns {object|null} State object with restore(), null when nothing matched
+ */
+function applyRedaction(settings) {
+  const rules = getRedactionRules(settings);
+  const targets = [...findSensitiveText(rules.patterns), ...findSensitiveElements(rules)]
+    .map(target => ({ target, ...getLayerInfo(target) }));
+
+  if (targets.length === 0) return null;
+
+  console.log(`Redacting ${targets.length} item(s)`);
+
+  const host = document.createElement('element-snapper-redaction');
+  host.style.cssText = `
+    all: initial !important;
+    position: absolute !important;
+    top: 0 !important;
+    left: 0 !important;
+    width: 0 !important;
+    height: 0 !important;
+    pointer-events: none !important;
+    z-index: 2147483646 !important;
+  `;
+
+  const shadow = host.attachShadow({ mode: 'closed' });
+  const style = settings.redactionStyle === 'box'
+    ? 'background: #000;'
+    : 'backdrop-filter: blur(10px); background: rgba(148, 163, 184, 0.25);';
+
+  shadow.innerHTML = `<style>.box { position: absolute; border-radius: 2px; ${style} } .box.fixed { position: fixed; }</style>`;
+  const layer = document.createElement('div');
+  shadow.appendChild(layer);
+  document.documentElement.appendChild(host);
+
+  // Reposition every box, e.g. after window or container scroll
+  const layout = () => {
+    const fragment = document.createDocumentFragment();
+
+    targets.forEach(({ target, fixed, clips }) => {
+      const offsetX = fixed ? 0 : window.scrollX;
+      const offsetY = fixed ? 0 : window.scrollY;
+
+      for (const rect of target.getClientRects()) {
+        const box = clipRect(rect, clips);
+        if (box.width <= 0 || box.height <= 0) continue;
+
+        const node = document.createElement('div');
+        node.className = fixed ? 'box fixed' : 'box';
+        node.style.cssText = `left: ${box.x + offsetX}px; top: ${box.y + offsetY}px; width: ${box.width}px; height: ${box.height}px;`;
+        fragment.appendChild(node);
+      }
+    });
+
+    layer.replaceChildren(fragment);
+  };
+
+  layout();
+  window.addEventListener('scroll', layout, { capture: true, passive: true });
+  window.addEventListener('resize', layout);
+
+  return {
+    restore() {
+      window.removeEventListener('scroll', layout, { capture: true });
+      window.removeEventListener('resize', layout);
+      host.remove();
+    }
+  };
+}
+
+/**
+ * Remove redaction overlays
+ * @param {object} redactionState - State object returned from applyRedaction
+ */
+function removeRedaction(redactionState) {
+  if (redactionState && redactionState.restore) {
+    redactionState.restore();
+  }
+}
+
+/**
+ * Find text matching the redaction patterns
+ * Matches must sit within one text node
+ * @param {object[]} patterns - Patterns with regex and optional validate
+ * @returns {Range[]} Ranges covering each match
+ */
+function findSensitiveText(patterns) {
+  if (patterns.length === 0 || !document.body) return [];
+
+  const ranges = [];
+  const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+    acceptNode(node) {
+      const parent = node.parentElement;
+      if (!parent || parent.closest('script, style, noscript, template')) {
+        return NodeFilter.FILTER_REJECT;
+      }
+      return node.nodeValue.trim() ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT;
+    }
+  });
+
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+
+    patterns.forEach(({ regex, validate }) => {
+      for (const match of node.nodeValue.matchAll(regex)) {
+        if (!match[0] || (validate && !validate(match[0]))) continue;
+
+        const range = document.createRange();
+        range.setStart(node, match.index);
+        range.setEnd(node, match.index + match[0].length);
+        ranges.push(range);
+      }
+    });
+  }
+
+  return ranges;
+}
+
+/**
+ * Find elements to cover entirely
+ * Selector matches (password fields and user selectors) plus form fields
+ * whose value matches a pattern
+ * @param {object} rules - Rules with patterns and selectors
+ * @returns {HTMLElement[]} Elements
+ */
+function findSensitiveElements({ patterns, selectors }) {
+  const elements = new Set();
+
+  selectors.forEach(selector => {
+    try {
+      document.querySelectorAll(selector).forEach(element => elements.add(element));
+    } catch (error) {
+      console.warn(`Skipping invalid redaction selector ${selector}:`, error.message);
+    }
+  });
+
+  document.querySelectorAll('input, textarea').forEach(field => {
+    const matches = patterns.some(({ regex, validate }) =>
+      [...(field.value || '').matchAll(regex)].some(match => !validate || validate(match[0]))
+    );
+    if (matches) elements.add(field);
+  });
+
+  return [...elements];
+}
+
+/**
+ * Work out how a target's overlay must be placed
+ * - fixed: target is inside a fixed layer, so it doesn't move with the page
+ * - clips: ancestors that clip overflow, so covers don't spill outside them
+ * @param {Range|HTMLElement} target - Redaction target
+ * @returns {object} Object with fixed and clips
+ */
+function getLayerInfo(target) {
+  let element = target instanceof Range ? target.startContainer.parentElement : target;
+  let fixed = false;
+  const clips = [];
+
+  while (element && element !== document.body && element !== document.documentElement) {
+    const style = getComputedStyle(element);
+    if (style.position === 'fixed') fixed = true;
+    if (style.overflowX !== 'visible' || style.overflowY !== 'visible') clips.push(element);
+    element = element.parentElement;
+  }
+
+  return { fixed, clips };
+}
+
+/**
+ * Intersect a viewport rect with the clipping ancestors' boxes
+ * @param {DOMRect} rect - Rect to clip
+ * @param {HTMLElement[]} clips - Clipping ancestors
+ * @returns {object} Clipped box with x, y, width, height
+ */
+function clipRect(rect, clips) {
+  let left = rect.left;
+  let top = rect.top;
+  let right = rect.right;
+  let bottom = rect.bottom;
+
+  clips.forEach(element => {
+    const clip = element.getBoundingClientRect();
+    left = Math.max(left, clip.left);
+    top = Math.max(top, clip.top);
+    right = Math.min(right, clip.right);
+    bottom = Math.min(bottom, clip.bottom);
+  });
+
+  return { x: left, y: top, width: right - left, height: bottom - top };
+}
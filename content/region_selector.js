@@ -0,0 +1,511 @@
+/**
+ * Region selector module
+ * Handles click-and-drag selection of a page area ("Selected Portion")
+ * Region is tracked in document coordinates (CSS pixels) so it survives scrolling
+ */
+
+// Distance from viewport edge (CSS pixels) that triggers auto-scroll while dragging
+const REGION_EDGE_SCROLL_ZONE = 40;
+
+// Maximum auto-scroll speed per frame (CSS pixels)
+const REGION_EDGE_SCROLL_SPEED = 24;
+
+// Smallest region that can be confirmed (CSS pixels)
+const REGION_MIN_SIZE = 4;
+
+// Resize handles and the edges each one moves
+const REGION_HANDLES = {
+  nw: { left: true, top: true },
+  n: { top: true },
+  ne: { right: true, top: true },
+  e: { right: true },
+  se: { right: true, bottom: true },
+  s: { bottom: true },
+  sw: { left: true, bottom: true },
+  w: { left: true }
+};
+
+class RegionSelector {
+  constructor() {
+    this.isActive = false;
+    this.region = null;
+    this.drag = null;
+    this.pointer = null;
+    this.autoScrollFrame = null;
+    this.elements = null;
+
+    this.boundMouseDown = this.handleMouseDown.bind(this);
+    this.boundMouseMove = this.handleMouseMove.bind(this);
+    this.boundMouseUp = this.handleMouseUp.bind(this);
+    this.boundKeyDown = this.handleKeyDown.bind(this);
+    this.boundRender = this.render.bind(this);
+    this.boundAutoScroll = this.autoScroll.bind(this);
+  }
+
+  /**
+   * Start selection mode
+   * Shows the drag overlay on top of the page
+   */
+  start() {
+    if (this.isActive) return;
+
+    this.isActive = true;
+    this.region = null;
+    injectRegionStyles();
+    this.buildOverlay();
+
+    this.elements.root.addEventListener('mousedown', this.boundMouseDown, true);
+    document.addEventListener('keydown', this.boundKeyDown, true);
+    window.addEventListener('scroll', this.boundRender, true);
+    window.addEventListener('resize', this.boundRender);
+
+    this.render();
+  }
+
+  /**
+   * Stop selection mode
+   * Removes overlay and all event listeners
+   */
+  stop() {
+    if (!this.isActive) return;
+
+    this.isActive = false;
+    this.endDrag();
+
+    document.removeEventListener('keydown', this.boundKeyDown, true);
+    window.removeEventListener('scroll', this.boundRender, true);
+    window.removeEventListener('resize', this.boundRender);
+
+    if (this.elements) {
+      this.elements.root.remove();
+      this.elements = null;
+    }
+  }
+
+  /**
+   * Build overlay elements
+   * Root catches pointer events, box shows the region with resize handles
+   */
+  buildOverlay() {
+    const root = document.createElement('div');
+    root.className = 'element-screenshot-region-overlay';
+
+    const hint = document.createElement('div');
+    hint.className = 'element-screenshot-region-hint';
+    hint.textContent = 'Drag to select an area · Enter to capture · Esc to cancel';
+
+    const box = document.createElement('div');
+    box.className = 'element-screenshot-region-box';
+
+    Object.keys(REGION_HANDLES).forEach(name => {
+      const handle = document.createElement('div');
+      handle.className = `element-screenshot-region-handle element-screenshot-region-handle-${name}`;
+      handle.dataset.handle = name;
+      box.appendChild(handle);
+    });
+
+    const label = document.createElement('div');
+    label.className = 'element-screenshot-region-label';
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'element-screenshot-region-toolbar';
+
+    const cancelBtn = document.createElement('button');
+    cancelBtn.type = 'button';
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.addEventListener('click', () => this.stop());
+
+    const captureBtn = document.createElement('button');
+    captureBtn.type = 'button';
+    captureBtn.className = 'element-screenshot-region-primary';
+    captureBtn.textContent = 'Capture';
+    captureBtn.addEventListener('click', () => this.confirm());
+
+    toolbar.appendChild(cancelBtn);
+    toolbar.appendChild(captureBtn);
+
+    root.appendChild(hint);
+    root.appendChild(box);
+    root.appendChild(label);
+    root.appendChild(toolbar);
+    document.documentElement.appendChild(root);
+
+    this.elements = { root, hint, box, label, toolbar };
+  }
+
+  /**
+   * Handle mouse down on overlay
+   * Starts creating, moving or resizing the region
+   * @param {MouseEvent} event - Mouse down event
+   */
+  handleMouseDown(event) {
+    if (!this.isActive || event.button !== 0) return;
+
+    // Let toolbar buttons receive their click
+    if (this.elements.toolbar.contains(event.target)) return;
+
+    event.preventDefault();
+    event.stopPropagation();
+
+    const point = this.toDocumentPoint(event.clientX, event.clientY);
+    const handle = event.target.dataset?.handle;
+
+    if (handle && this.region) {
+      this.drag = { type: 'resize', handle, start: point, startRegion: { ...this.region } };
+    } else if (this.region && this.elements.box.contains(event.target)) {
+      this.drag = { type: 'move', start: point, startRegion: { ...this.region } };
+    } else {
+      this.drag = { type: 'create', start: point };
+      this.region = { x: point.x, y: point.y, width: 0, height: 0 };
+    }
+
+    this.pointer = { x: event.clientX, y: event.clientY };
+
+    window.addEventListener('mousemove', this.boundMouseMove, true);
+    window.addEventListener('mouseup', this.boundMouseUp, true);
+    this.autoScrollFrame = requestAnimationFrame(this.boundAutoScroll);
+
+    this.render();
+  }
+
+  /**
+   * Handle mouse move while dragging
+   * @param {MouseEvent} event - Mouse move event
+   */
+  handleMouseMove(event) {
+    if (!this.drag) return;
+
+    event.preventDefault();
+    event.stopPropagation();
+
+    this.pointer = { x: event.clientX, y: event.clientY };
+    this.updateDrag();
+  }
+
+  /**
+   * Handle mouse up
+   * Finishes the current drag operation
+   * @param {MouseEvent} event - Mouse up event
+   */
+  handleMouseUp(event) {
+    if (!this.drag) return;
+
+    event.preventDefault();
+    event.stopPropagation();
+
+    // A plain click without dragging does not create a region
+    if (this.drag.type === 'create' &&
+      (this.region.width < REGION_MIN_SIZE || this.region.height < REGION_MIN_SIZE)) {
+      this.region = null;
+    }
+
+    this.endDrag();
+    this.render();
+  }
+
+  /**
+   * Handle keyboard shortcuts
+   * Arrows nudge (Shift = 10px), Alt+Arrows resize, Enter confirms, Escape cancels
+   * @param {KeyboardEvent} event - Key down event
+   */
+  handleKeyDown(event) {
+    if (!this.isActive) return;
+
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      event.stopPropagation();
+      this.stop();
+      return;
+    }
+
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      event.stopPropagation();
+      this.confirm();
+      return;
+    }
+
+    const deltas = {
+      ArrowLeft: [-1, 0],
+      ArrowRight: [1, 0],
+      ArrowUp: [0, -1],
+      ArrowDown: [0, 1]
+    };
+
+    if (!deltas[event.key] || !this.region) return;
+
+    event.preventDefault();
+    event.stopPropagation();
+
+    const step = event.shiftKey ? 10 : 1;
+    const [dx, dy] = deltas[event.key].map(d => d * step);
+
+    if (event.altKey) {
+      this.region.width = Math.max(REGION_MIN_SIZE, this.region.width + dx);
+      this.region.height = Math.max(REGION_MIN_SIZE, this.region.height + dy);
+    } else {
+      this.region.x += dx;
+      this.region.y += dy;
+    }
+
+    this.region = this.clampRegion(this.region);
+    this.render();
+  }
+
+  /**
+   * Recalculate region from current pointer position
+   */
+  updateDrag() {
+    if (!this.drag || !this.pointer) return;
+
+    const point = this.toDocumentPoint(this.pointer.x, this.pointer.y);
+    const { type, start, startRegion } = this.drag;
+
+    if (type === 'create') {
+      this.region = this.clampRegion({
+        x: Math.min(start.x, point.x),
+        y: Math.min(start.y, point.y),
+        width: Math.abs(point.x - start.x),
+        height: Math.abs(point.y - start.y)
+      });
+    } else if (type === 'move') {
+      this.region = this.clampRegion({
+        ...startRegion,
+        x: startRegion.x + (point.x - start.x),
+        y: startRegion.y + (point.y - start.y)
+      });
+    } else if (type === 'resize') {
+      const edges = REGION_HANDLES[this.drag.handle];
+      let left = startRegion.x;
+      let top = startRegion.y;
+      let right = startRegion.x + startRegion.width;
+      let bottom = startRegion.y + startRegion.height;
+
+      if (edges.left) left = point.x;
+      if (edges.right) right = point.x;
+      if (edges.top) top = point.y;
+      if (edges.bottom) bottom = point.y;
+
+      this.region = this.clampRegion({
+        x: Math.min(left, right),
+        y: Math.min(top, bottom),
+        width: Math.abs(right - left),
+        height: Math.abs(bottom - top)
+      });
+    }
+
+    this.render();
+  }
+
+  /**
+   * Auto-scroll loop while dragging near a viewport edge
+   * Keeps extending the region past the visible area
+   */
+  autoScroll() {
+    if (!this.drag) return;
+
+    const speedFor = (position, size) => {
+      if (position < REGION_EDGE_SCROLL_ZONE) {
+        return -REGION_EDGE_SCROLL_SPEED * (1 - Math.max(0, position) / REGION_EDGE_SCROLL_ZONE);
+      }
+      if (position > size - REGION_EDGE_SCROLL_ZONE) {
+        return REGION_EDGE_SCROLL_SPEED * (1 - Math.max(0, size - position) / REGION_EDGE_SCROLL_ZONE);
+      }
+      return 0;
+    };
+
+    const dx = speedFor(this.pointer.x, window.innerWidth);
+    const dy = speedFor(this.pointer.y, window.innerHeight);
+
+    if (dx !== 0 || dy !== 0) {
+      window.scrollBy({ left: dx, top: dy, behavior: 'instant' });
+      this.updateDrag();
+    }
+
+    this.autoScrollFrame = requestAnimationFrame(this.boundAutoScroll);
+  }
+
+  /**
+   * End drag and detach drag listeners
+   */
+  endDrag() {
+    this.drag = null;
+    window.removeEventListener('mousemove', this.boundMouseMove, true);
+    window.removeEventListener('mouseup', this.boundMouseUp, true);
+
+    if (this.autoScrollFrame) {
+      cancelAnimationFrame(this.autoScrollFrame);
+      this.autoScrollFrame = null;
+    }
+  }
+
+  /**
+   * Convert viewport point to document coordinates
+   * @param {number} clientX - Viewport X (CSS pixels)
+   * @param {number} clientY - Viewport Y (CSS pixels)
+   * @returns {object} Point with x and y in document coordinates
+   */
+  toDocumentPoint(clientX, clientY) {
+    const scroll = getScrollOffsets();
+    return { x: clientX + scroll.x, y: clientY + scroll.y };
+  }
+
+  /**
+   * Keep region inside document bounds
+   * @param {object} region - Region in document coordinates
+   * @returns {object} Clamped region
+   */
+  clampRegion(region) {
+    const doc = getDocumentDimensions();
+    const width = Math.min(region.width, doc.width);
+    const height = Math.min(region.height, doc.height);
+
+    return {
+      x: Math.min(Math.max(0, region.x), doc.width - width),
+      y: Math.min(Math.max(0, region.y), doc.height - height),
+      width,
+      height
+    };
+  }
+
+  /**
+   * Position box, label and toolbar for the current region
+   */
+  render() {
+    if (!this.isActive || !this.elements) return;
+
+    const { root, hint, box, label, toolbar } = this.elements;
+    const hasRegion = !!this.region;
+
+    root.classList.toggle('has-region', hasRegion);
+    hint.style.display = hasRegion || this.drag ? 'none' : '';
+    box.style.display = hasRegion ? '' : 'none';
+    label.style.display = hasRegion ? '' : 'none';
+    toolbar.style.display = hasRegion && !this.drag ? '' : 'none';
+
+    if (!hasRegion) return;
+
+    const scroll = getScrollOffsets();
+    const left = this.region.x - scroll.x;
+    const top = this.region.y - scroll.y;
+    const { width, height } = this.region;
+
+    box.style.left = `${left}px`;
+    box.style.top = `${top}px`;
+    box.style.width = `${width}px`;
+    box.style.height = `${height}px`;
+
+    // Live dimensions in CSS pixels, above the box or inside it near the top edge
+    label.textContent = `${Math.round(width)} × ${Math.round(height)}`;
+    label.style.left = `${Math.max(4, left)}px`;
+    label.style.top = `${top >= 28 ? top - 28 : Math.max(4, top + 4)}px`;
+
+    // Toolbar below the box, or inside it when there is no room
+    const toolbarHeight = toolbar.offsetHeight || 36;
+    const toolbarWidth = toolbar.offsetWidth || 160;
+    const below = top + height + 8;
+    toolbar.style.top = `${below + toolbarHeight <= window.innerHeight ? below : Math.max(4, top + height - toolbarHeight - 8)}px`;
+    toolbar.style.left = `${Math.min(Math.max(4, left + width - toolbarWidth), window.innerWidth - toolbarWidth - 4)}px`;
+  }
+
+  /**
+   * Confirm current region and start capture
+   */
+  async confirm() {
+    if (!this.region ||
+      this.region.width < REGION_MIN_SIZE ||
+      this.region.height < REGION_MIN_SIZE) {
+      return;
+    }
+
+    const region = { ...this.region };
+
+    // Remove overlay before anything is captured
+    this.stop();
+
+    await this.captureRegion(region);
+  }
+
+  /**
+   * Capture region through the service worker
+   * Single crop when the region fits the viewport, tiled stitching otherwise
+   * @param {object} region - Region in document coordinates (CSS pixels)
+   */
+  async captureRegion(region) {
+    try {
+      // Load settings
+      const settings = await chrome.storage.local.get(['debugMode', 'delay']);
+      const debugMode = settings.debugMode || false;
+      const delay = settings.delay || 0;
+
+      // Show countdown if delay is enabled
+      if (delay > 0) {
+        injectCountdownStyles();
+        await showCountdownOverlay(delay);
+      }
+
+      const viewport = {
+        width: window.innerWidth,
+        height: window.innerHeight
+      };
+
+      // Bring a region that fits the viewport fully into view
+      const fitsViewport = region.width <= viewport.width && region.height <= viewport.height;
+      let scroll = getScrollOffsets();
+
+      if (fitsViewport && (
+        region.x < scroll.x ||
+        region.y < scroll.y ||
+        region.x + region.width > scroll.x + viewport.width ||
+        region.y + region.height > scroll.y + viewport.height
+      )) {
+        window.scrollTo({
+          left: region.x - (viewport.width - region.width) / 2,
+          top: region.y - (viewport.height - region.height) / 2,
+          behavior: 'instant'
+        });
+        await new Promise(resolve => setTimeout(resolve, 100));
+        scroll = getScrollOffsets();
+      }
+
+      // Wait for overlay removal to be painted
+      await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+
+      const captureData = {
+        captureMode: 'region',
+        rect: {
+          x: region.x - scroll.x,
+          y: region.y - scroll.y,
+          width: region.width,
+          height: region.height
+        },
+        scroll: scroll,
+        documentDimensions: getDocumentDimensions(),
+        devicePixelRatio: window.devicePixelRatio || 1,
+        debugMode: debugMode,
+        viewport: viewport,
+        timestamp: Date.now()
+      };
+
+      // Request screenshot from service worker
+      await requestCapture('captureViewportOrPage', captureData);
+    } catch (error) {
+      console.error('Region capture failed:', error);
+      chrome.runtime.sendMessage({
+        action: 'captureError',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Check if selection mode is active
+   * @returns {boolean} True if active
+   */
+  isSelecting() {
+    return this.isActive;
+  }
+}
+
+// Create singleton instance
+const regionSelector = new RegionSelector();
@@ -18,6 +18,103 @@ function getElementRect(element) {
   };
 }
 
+// Settings for the area captured around an element
+// - captureBounds: border (border box), margin (margin box) or visual (border
+//   box plus shadows, outline and absolutely positioned descendants)
+// - capturePadding: extra CSS pixels on every side
+const CAPTURE_BOUNDS_KEYS = ['captureBounds', 'capturePadding'];
+
+// Descendants checked for visual overflow, so huge elements stay responsive
+const MAX_OVERFLOW_DESCENDANTS = 2000;
+
+/**
+ * Load capture bounds settings
+ * @returns {Promise<object>} Object with mode (border/margin/visual) and padding (CSS pixels)
+ */
+async function getCaptureBounds() {
+  const settings = await chrome.storage.local.get(CAPTURE_BOUNDS_KEYS);
+
+  return {
+    mode: settings.captureBounds || 'border',
+    padding: settings.capturePadding || 0
+  };
+}
+
+/**
+ * How far the capture area reaches past an element's border box
+ * @param {HTMLElement} element - Element to capture
+ * @param {object} bounds - Capture bounds (see getCaptureBounds)
+ * @returns {number[]} Outsets for top, right, bottom, left (CSS pixels)
+ */
+function getBoundsExtents(element, bounds) {
+  const style = getComputedStyle(element);
+  const px = value => parseFloat(value) || 0;
+  let extents = [0, 0, 0, 0];
+
+  // Grow every side to at least the given outsets
+  const include = (top, right, bottom, left) => {
+    extents = extents.map((current, i) => Math.max(current, [top, right, bottom, left][i]));
+  };
+
+  if (bounds.mode === 'margin') {
+    include(px(style.marginTop), px(style.marginRight), px(style.marginBottom), px(style.marginLeft));
+  } else if (bounds.mode === 'visual') {
+    // Computed shadows read like "rgba(0, 0, 0, 0.2) 0px 4px 12px 2px", commas inside colors excluded
+    style.boxShadow.split(/,(?![^(]*\))/)
+      .filter(shadow => shadow.trim() !== 'none' && !shadow.includes('inset'))
+      .forEach(shadow => {
+        const [x = 0, y = 0, blur = 0, spread = 0] = (shadow.match(/-?[\d.]+px/g) || []).map(px);
+        const reach = blur + spread;
+        include(reach - y, reach + x, reach + y, reach - x);
+      });
+
+    if (style.outlineStyle !== 'none') {
+      const reach = px(style.outlineWidth) + px(style.outlineOffset);
+      include(reach, reach, reach, reach);
+    }
+
+    const rect = element.getBoundingClientRect();
+    const descendants = element.querySelectorAll('*');
+    for (let i = 0; i < Math.min(descendants.length, MAX_OVERFLOW_DESCENDANTS); i++) {
+      if (getComputedStyle(descendants[i]).position !== 'absolute') continue;
+
+      const child = descendants[i].getBoundingClientRect();
+      if (child.width === 0 || child.height === 0) continue;
+
+      include(rect.top - child.top, child.right - rect.right, child.bottom - rect.bottom, rect.left - child.left);
+    }
+  }
+
+  return extents.map(extent => extent + bounds.padding);
+}
+
+/**
+ * Get the viewport-relative area to capture for an element
+ * The border box grown by the capture bounds, limited to the document
+ * @param {HTMLElement} element - Element to capture
+ * @param {object} bounds - Capture bounds (see getCaptureBounds)
+ * @returns {object} Rect with x, y, width, height
+ * @throws {Error} When the area is empty (hidden, collapsed or outside the document)
+ */
+function getCaptureRect(element, bounds) {
+  const rect = getElementRect(element);
+  const [top, right, bottom, left] = getBoundsExtents(element, bounds);
+
+  // Nothing exists beyond the document's edges
+  const scroll = getScrollOffsets();
+  const documentDimensions = getDocumentDimensions();
+  const x = Math.max(rect.x - left, -scroll.x);
+  const y = Math.max(rect.y - top, -scroll.y);
+  const width = Math.min(rect.x + rect.width + right, documentDimensions.width - scroll.x) - x;
+  const height = Math.min(rect.y + rect.height + bottom, documentDimensions.height - scroll.y) - y;
+
+  if (!(width > 0 && height > 0)) {
+    throw new Error('Element has no visible size');
+  }
+
+  return { x, y, width, height };
+}
+
 /**
  * Get page scroll offsets
  * @returns {object} Scroll offsets with x and y
@@ -64,6 +161,484 @@ function scrollIntoView(element) {
   });
 }
 
+/**
+ * Scroll window or a scroll container and wait until the position settles
+ * @param {Window|HTMLElement} target - Window or scroll container
+ * @param {number} x - Target scroll X (CSS pixels)
+ * @param {number} y - Target scroll Y (CSS pixels)
+ * @returns {Promise<object>} Actual scroll position with x and y
+ *   (may differ from target at scroll bounds)
+ */
+async function scrollAndSettle(target, x, y) {
+  const read = () => target === window
+    ? getScrollOffsets()
+    : { x: target.scrollLeft, y: target.scrollTop };
+
+  target.scrollTo({
+    left: x,
+    top: y,
+    behavior: 'smooth'  // Smooth scroll for better UX
+  });
+
+  // Wait for smooth scroll to complete by checking when position stabilizes
+  await new Promise(resolve => {
+    let last = read();
+    let stableCount = 0;
+
+    const checkStable = () => {
+      const current = read();
+
+      // Check if scroll position has stabilized (hasn't changed for 2 consecutive checks)
+      if (Math.abs(current.x - last.x) < 1 && Math.abs(current.y - last.y) < 1) {
+        stableCount++;
+        if (stableCount >= 2) {
+          // Position is stable, wait a bit more for rendering
+          setTimeout(resolve, 100);
+          return;
+        }
+      } else {
+        stableCount = 0;
+      }
+
+      last = current;
+
+      // Check again in next frame
+      requestAnimationFrame(checkStable);
+    };
+
+    // Start checking after initial delay
+    setTimeout(() => requestAnimationFrame(checkStable), 50);
+  });
+
+  return read();
+}
+
+/**
+ * Check if element scrolls its own overflowing content
+ * @param {HTMLElement} element - Element to check
+ * @returns {boolean} True if element is a scroll container with hidden content
+ */
+function isScrollContainer(element) {
+  const style = getComputedStyle(element);
+  const scrollable = value => /(auto|scroll|overlay)/.test(value);
+
+  return (scrollable(style.overflowY) && element.scrollHeight > element.clientHeight) ||
+    (scrollable(style.overflowX) && element.scrollWidth > element.clientWidth);
+}
+
+/**
+ * Find the scroll container tiles must scroll to capture an element
+ * The element itself when it scrolls its own content (overflow panels,
+ * code blocks, virtualized tables), otherwise the nearest scrolling
+ * ancestor when that ancestor clips the element.
+ * @param {HTMLElement} element - Element to capture
+ * @returns {HTMLElement|null} Scroll container, or null when the window scrolls
+ */
+function findScrollContainer(element) {
+  const isPageRoot = el => el === document.body || el === document.documentElement;
+
+  if (isPageRoot(element)) return null;
+  if (isScrollContainer(element)) return element;
+
+  for (let ancestor = element.parentElement; ancestor && !isPageRoot(ancestor); ancestor = ancestor.parentElement) {
+    if (!isScrollContainer(ancestor)) continue;
+
+    // Nearest scroller decides: only needed when it hides part of the element
+    const rect = element.getBoundingClientRect();
+    return rect.width > ancestor.clientWidth || rect.height > ancestor.clientHeight ? ancestor : null;
+  }
+
+  return null;
+}
+
+/**
+ * Measure a scroll container for tiled capture
+ *
+ * Geometry (CSS pixels):
+ * - region: area to capture, in the container's scroll coordinates
+ * - frame: part of the viewport where the container shows its content
+ * - origin: viewport position of the container's content at scroll (0, 0)
+ *
+ * @param {HTMLElement} container - Scroll container
+ * @param {HTMLElement} element - Element to capture (may be the container)
+ * @param {object} rect - Viewport-relative area to capture around the element
+ *   (see getCaptureRect), ignored when the element is the container
+ * @returns {object} State with geometry, element and restore function
+ */
+function prepareScrollContainer(container, element, rect = getElementRect(element)) {
+  const originalScroll = { x: container.scrollLeft, y: container.scrollTop };
+  const containerRect = container.getBoundingClientRect();
+
+  const origin = {
+    x: containerRect.left + container.clientLeft,
+    y: containerRect.top + container.clientTop
+  };
+
+  // Client area clipped to the viewport
+  const left = Math.max(0, origin.x);
+  const top = Math.max(0, origin.y);
+  const frame = {
+    x: left,
+    y: top,
+    width: Math.min(origin.x + container.clientWidth, window.innerWidth) - left,
+    height: Math.min(origin.y + container.clientHeight, window.innerHeight) - top
+  };
+
+  let region;
+  if (element === container) {
+    region = { x: 0, y: 0, width: container.scrollWidth, height: container.scrollHeight };
+  } else {
+    region = {
+      x: rect.x - origin.x + originalScroll.x,
+      y: rect.y - origin.y + originalScroll.y,
+      width: rect.width,
+      height: rect.height
+    };
+  }
+
+  return {
+    element: container,
+    geometry: { region, frame, origin },
+    restore: () => {
+      container.scrollTo({ left: originalScroll.x, top: originalScroll.y, behavior: 'instant' });
+    }
+  };
+}
+
+/**
+ * Warm up lazy-loaded content before a full-page capture
+ * Scrolls through the whole document so loading="lazy" images and
+ * IntersectionObserver content get requested, then waits for pending
+ * images, web fonts and the network to settle. The document often grows
+ * while this runs, so its height is re-read on every step.
+ * Leaves the page scrolled back to the top.
+ * @param {number} timeout - Maximum time to spend (ms)
+ * @returns {Promise<void>}
+ */
+async function warmUpLazyContent(timeout = 15000) {
+  const deadline = Date.now() + timeout;
+  const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+  const untilDeadline = promise => Promise.race([promise, sleep(Math.max(0, deadline - Date.now()))]);
+
+  // Step through the document one viewport at a time
+  let position = 0;
+  while (Date.now() < deadline) {
+    const maxScroll = getDocumentDimensions().height - window.innerHeight;
+    if (position >= maxScroll) break;
+
+    position = Math.min(position + window.innerHeight, maxScroll);
+    window.scrollTo({ left: 0, top: position, behavior: 'instant' });
+    await sleep(150);
+  }
+
+  // Wait for images that started loading during the pass
+  const pendingImages = Array.from(document.images)
+    .filter(img => !img.complete)
+    .map(img => new Promise(resolve => {
+      img.addEventListener('load', resolve, { once: true });
+      img.addEventListener('error', resolve, { once: true });
+    }));
+
+  await untilDeadline(Promise.all(pendingImages));
+  await untilDeadline(document.fonts.ready);
+  await untilDeadline(waitForNetworkIdle(500));
+
+  console.log(`Lazy content warm-up done: ${pendingImages.length} pending images, document height ${getDocumentDimensions().height}px`);
+
+  window.scrollTo({ left: 0, top: 0, behavior: 'instant' });
+}
+
+/**
+ * Wait until no resource has finished loading for a while
+ * Heuristic based on resource timing entries
+ * @param {number} idleTime - Quiet period to wait for (ms)
+ * @returns {Promise<void>}
+ */
+function waitForNetworkIdle(idleTime) {
+  return new Promise(resolve => {
+    let lastActivity = Date.now();
+
+    const observer = new PerformanceObserver(() => {
+      lastActivity = Date.now();
+    });
+    observer.observe({ type: 'resource' });
+
+    const check = () => {
+      if (Date.now() - lastActivity >= idleTime) {
+        observer.disconnect();
+        resolve();
+      } else {
+        setTimeout(check, 100);
+      }
+    };
+
+    setTimeout(check, idleTime);
+  });
+}
+
+/**
+ * Find the next element when walking the DOM with the keyboard
+ * Skips elements without a rendered box (script, hidden nodes)
+ * @param {HTMLElement} element - Starting element
+ * @param {string} direction - One of: parent, child, previous, next
+ * @returns {HTMLElement|null} Target element or null if none
+ */
+function findTraversalTarget(element, direction) {
+  const isRendered = el => el.getClientRects().length > 0;
+
+  if (direction === 'parent') {
+    const parent = element.parentElement;
+    return parent && parent !== document.documentElement ? parent : null;
+  }
+
+  let candidate = direction === 'child' ? element.firstElementChild
+    : direction === 'previous' ? element.previousElementSibling
+      : element.nextElementSibling;
+
+  while (candidate && !isRendered(candidate)) {
+    candidate = direction === 'previous' ? candidate.previousElementSibling : candidate.nextElementSibling;
+  }
+
+  return candidate;
+}
+
+/**
+ * Short label for an element: tag, id or first two classes
+ * @param {HTMLElement} element - Element to describe
+ * @returns {string} Label like div#main or section.pricing.dark
+ */
+function describeElement(element) {
+  const tag = element.tagName.toLowerCase();
+
+  if (element.id) return `${tag}#${element.id}`;
+
+  const classes = typeof element.className === 'string'
+    ? element.className.trim().split(/\s+/).filter(Boolean)
+    : [];
+
+  return classes.length ? `${tag}.${classes.slice(0, 2).join('.')}` : tag;
+}
+
+/**
+ * Ancestor path for an element, limited to the nearest ancestors below body
+ * @param {HTMLElement} element - Element to describe
+ * @param {number} depth - Maximum number of segments
+ * @returns {string} Path like main > section.pricing > div.card
+ */
+function getElementPath(element, depth = 4) {
+  const segments = [];
+  let current = element;
+
+  while (current && current !== document.body && current !== document.documentElement && segments.length < depth) {
+    segments.unshift(describeElement(current));
+    current = current.parentElement;
+  }
+
+  if (current && current !== document.body && current !== document.documentElement) {
+    segments.unshift('…');
+  }
+
+  return segments.length ? segments.join(' > ') : describeElement(element);
+}
+
+/**
+ * Element metadata sent with a capture (filenames, history, repeat, recipes)
+ * @param {HTMLElement} element - Captured element
+ * @returns {object} Object with tagName, id, className, selector, xpath and textContent
+ */
+function getElementInfo(element) {
+  return {
+    tagName: element.tagName,
+    id: element.id || null,
+    className: element.className || null,
+    selector: getUniqueSelector(element),
+    xpath: getElementXPath(element),
+    textContent: element.textContent?.substring(0, 50) || null
+  };
+}
+
+// Attributes that usually survive redesigns and rebuilds, tried in order
+const STABLE_SELECTOR_ATTRIBUTES = ['data-testid', 'data-test', 'data-qa', 'data-cy', 'name', 'aria-label'];
+
+/**
+ * Check if an ID looks generated by a framework or build (changes between loads)
+ * @param {string} value - ID
+ * @returns {boolean} True for IDs like ":r1:", "ember123" or "a3f9c2e1b7"
+ */
+function isGeneratedIdentifier(value) {
+  return /^:|^(ember|react|ng-|mui-|radix-)|\d{4,}|[0-9a-f]{8,}/i.test(value);
+}
+
+/**
+ * Check if a selector matches exactly one element
+ * @param {string} selector - CSS selector
+ * @returns {boolean} True if unique (false for invalid selectors)
+ */
+function isUniqueSelector(selector) {
+  try {
+    return document.querySelectorAll(selector).length === 1;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Selector for the element by its own ID or test/accessibility attribute
+ * @param {HTMLElement} element - Element to describe
+ * @returns {string|null} Unique selector, null when the element has no stable hook
+ */
+function getStableSelector(element) {
+  const tag = element.tagName.toLowerCase();
+  const candidates = [];
+
+  if (element.id && !isGeneratedIdentifier(element.id)) {
+    candidates.push(`#${CSS.escape(element.id)}`);
+  }
+
+  STABLE_SELECTOR_ATTRIBUTES.forEach(attribute => {
+    const value = element.getAttribute(attribute);
+    if (value) candidates.push(`${tag}[${attribute}="${CSS.escape(value)}"]`);
+  });
+
+  return candidates.find(isUniqueSelector) || null;
+}
+
+/**
+ * CSS selector that finds this element again, e.g. after a reload
+ * Anchored at the nearest ancestor with a stable ID or test attribute,
+ * otherwise at <html>
+ * @param {HTMLElement} element - Element to describe
+ * @returns {string} Selector like #app > main:nth-of-type(1) > div:nth-of-type(2)
+ */
+function getUniqueSelector(element) {
+  const segments = [];
+  let current = element;
+
+  while (current && current !== document.documentElement) {
+    const stable = getStableSelector(current);
+    if (stable) {
+      segments.unshift(stable);
+      return segments.join(' > ');
+    }
+
+    const tag = CSS.escape(current.localName);
+    const sameTag = [...(current.parentElement?.children || [])].filter(sibling => sibling.tagName === current.tagName);
+    segments.unshift(`${tag}:nth-of-type(${sameTag.indexOf(current) + 1})`);
+    current = current.parentElement;
+  }
+
+  segments.unshift('html');
+  return segments.join(' > ');
+}
+
+/**
+ * Quote text for an XPath expression
+ * XPath 1.0 has no escapes, so text with both quote kinds goes through concat()
+ * @param {string} value - Text
+ * @returns {string} XPath string literal
+ */
+function toXPathLiteral(value) {
+  if (!value.includes('"')) return `"${value}"`;
+  if (!value.includes("'")) return `'${value}'`;
+  return `concat("${value.split('"').join('", \'"\', "')}")`;
+}
+
+/**
+ * XPath that finds this element again, a fallback when the CSS selector
+ * no longer matches
+ * @param {HTMLElement} element - Element to describe
+ * @returns {string} XPath like //*[@id="app"]/main[1]/div[2]
+ */
+function getElementXPath(element) {
+  const segments = [];
+  let current = element;
+
+  while (current && current.nodeType === Node.ELEMENT_NODE) {
+    if (current.id && !isGeneratedIdentifier(current.id) && isUniqueSelector(`#${CSS.escape(current.id)}`)) {
+      segments.unshift(`//*[@id=${toXPathLiteral(current.id)}]`);
+      return segments.join('/');
+    }
+
+    // SVG and MathML elements don't match plain names in HTML documents
+    const name = current.namespaceURI === 'http://www.w3.org/1999/xhtml'
+      ? current.localName
+      : `*[local-name()=${toXPathLiteral(current.localName)}]`;
+    const sameName = [...(current.parentElement?.children || [])].filter(sibling => sibling.localName === current.localName);
+    segments.unshift(`${name}[${Math.max(1, sameName.indexOf(current) + 1)}]`);
+    current = current.parentElement;
+  }
+
+  return `/${segments.join('/')}`;
+}
+
+/**
+ * Find an element by selector, falling back to XPath
+ * @param {string} selector - CSS selector
+ * @param {string} xpath - XPath (optional)
+ * @returns {HTMLElement|null} Element
+ */
+function findElement(selector, xpath) {
+  try {
+    const element = selector && document.querySelector(selector);
+    if (element) return element;
+  } catch (e) {
+    console.warn('Invalid selector:', selector);
+  }
+
+  if (!xpath) return null;
+
+  try {
+    return document.evaluate(xpath, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue;
+  } catch (e) {
+    console.warn('Invalid XPath:', xpath);
+    return null;
+  }
+}
+
+/**
+ * Wait for an element to appear and be rendered, e.g. on a page still loading
+ * @param {string} selector - CSS selector
+ * @param {string} xpath - XPath fallback (optional)
+ * @param {number} timeout - Milliseconds to wait
+ * @returns {Promise<HTMLElement|null>} Element, null on timeout
+ */
+function waitForElement(selector, xpath, timeout = 15000) {
+  const findRendered = () => {
+    const element = findElement(selector, xpath);
+    if (!element) return null;
+
+    const rect = element.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0 ? element : null;
+  };
+
+  return new Promise(resolve => {
+    const found = findRendered();
+    if (found) {
+      resolve(found);
+      return;
+    }
+
+    // Mutations catch inserted elements, the interval catches style/layout changes
+    const observer = new MutationObserver(check);
+    const interval = setInterval(check, 250);
+    const timer = setTimeout(() => finish(null), timeout);
+
+    function check() {
+      const element = findRendered();
+      if (element) finish(element);
+    }
+
+    function finish(element) {
+      observer.disconnect();
+      clearInterval(interval);
+      clearTimeout(timer);
+      resolve(element);
+    }
+
+    observer.observe(document.documentElement, { childList: true, subtree: true });
+  });
+}
+
 /**
  * Check if element is a cross-origin iframe
  * @param {HTMLElement} element - Element to check
@@ -83,64 +658,107 @@ function isCrossOriginIframe(element) {
 }
 
 /**
- * Inject professional highlight styles
- * Clean, minimal design with blue outline
+ * Inject region selection styles
+ * Dims the page outside the dragged box, like a rubber-band selection
  */
-function injectHighlightStyles() {
-  if (document.getElementById('element-screenshot-styles')) return;
+function injectRegionStyles() {
+  if (document.getElementById('element-screenshot-region-styles')) return;
 
   const style = document.createElement('style');
-  style.id = 'element-screenshot-styles';
+  style.id = 'element-screenshot-region-styles';
   style.textContent = `
-    /* Hover highlight - professional blue outline */
-    .element-screenshot-highlight {
-      outline: 2px solid #3b82f6 !important;
-      outline-offset: -2px !important;
-      cursor: crosshair !important;
-      box-shadow: 0 0 0 4px rgba(59, 130, 246, 0.3), inset 0 0 20px rgba(59, 130, 246, 0.1) !important;
-      border-radius: 2px !important;
-      transition: all 0.1s ease !important;
-    }
-
-    /* Minimal capture overlay - dark glass effect */
-    .element-screenshot-overlay {
+    .element-screenshot-region-overlay {
       position: fixed;
-      top: 0;
-      left: 0;
-      width: 100vw;
-      height: 100vh;
-      background: rgba(15, 23, 42, 0.7);
-      backdrop-filter: blur(4px);
+      inset: 0;
       z-index: 2147483647;
-      display: flex;
-      flex-direction: column;
-      align-items: center;
-      justify-content: center;
-      color: white;
+      cursor: crosshair;
+      background: rgba(15, 23, 42, 0.35);
       font-family: system-ui, -apple-system, sans-serif;
-      transition: opacity 0.3s ease;
+      user-select: none;
     }
 
-    /* Modern spinner */
-    .element-screenshot-spinner {
-      width: 40px;
-      height: 40px;
-      border: 3px solid rgba(255, 255, 255, 0.1);
-      border-top-color: #3b82f6;
-      border-radius: 50%;
-      animation: element-screenshot-spin 1s cubic-bezier(0.4, 0, 0.2, 1) infinite;
-      margin-bottom: 16px;
+    .element-screenshot-region-overlay.has-region {
+      background: transparent;
     }
 
-    .element-screenshot-text {
-        font-size: 14px;
-        font-weight: 500;
-        letter-spacing: 0.02em;
-        opacity: 0.9;
+    .element-screenshot-region-hint {
+      position: absolute;
+      top: 20px;
+      left: 50%;
+      transform: translateX(-50%);
+      padding: 8px 14px;
+      border-radius: 8px;
+      background: rgba(15, 23, 42, 0.9);
+      color: white;
+      font-size: 13px;
+      font-weight: 500;
+      pointer-events: none;
+    }
+
+    .element-screenshot-region-box {
+      position: absolute;
+      box-sizing: border-box;
+      border: 1px solid #3b82f6;
+      box-shadow: 0 0 0 100vmax rgba(15, 23, 42, 0.35);
+      cursor: move;
+    }
+
+    .element-screenshot-region-handle {
+      position: absolute;
+      width: 10px;
+      height: 10px;
+      margin: -5px 0 0 -5px;
+      box-sizing: border-box;
+      background: white;
+      border: 1px solid #3b82f6;
+      border-radius: 2px;
     }
 
-    @keyframes element-screenshot-spin {
-      to { transform: rotate(360deg); }
+    .element-screenshot-region-handle-nw { left: 0; top: 0; cursor: nwse-resize; }
+    .element-screenshot-region-handle-n { left: 50%; top: 0; cursor: ns-resize; }
+    .element-screenshot-region-handle-ne { left: 100%; top: 0; cursor: nesw-resize; }
+    .element-screenshot-region-handle-e { left: 100%; top: 50%; cursor: ew-resize; }
+    .element-screenshot-region-handle-se { left: 100%; top: 100%; cursor: nwse-resize; }
+    .element-screenshot-region-handle-s { left: 50%; top: 100%; cursor: ns-resize; }
+    .element-screenshot-region-handle-sw { left: 0; top: 100%; cursor: nesw-resize; }
+    .element-screenshot-region-handle-w { left: 0; top: 50%; cursor: ew-resize; }
+
+    .element-screenshot-region-label {
+      position: absolute;
+      padding: 3px 8px;
+      border-radius: 4px;
+      background: #3b82f6;
+      color: white;
+      font-size: 12px;
+      font-weight: 600;
+      font-family: monospace;
+      pointer-events: none;
+    }
+
+    .element-screenshot-region-toolbar {
+      position: absolute;
+      display: flex;
+      gap: 6px;
+      padding: 4px;
+      border-radius: 8px;
+      background: rgba(15, 23, 42, 0.95);
+      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
+      cursor: default;
+    }
+
+    .element-screenshot-region-toolbar button {
+      padding: 6px 12px;
+      border: 1px solid #334155;
+      border-radius: 6px;
+      background: transparent;
+      color: white;
+      font: 500 13px system-ui, -apple-system, sans-serif;
+      cursor: pointer;
+    }
+
+    .element-screenshot-region-toolbar button.element-screenshot-region-primary {
+      background: #3b82f6;
+      border-color: #3b82f6;
     }
   `;
 
@@ -148,43 +766,58 @@ function injectHighlightStyles() {
 }
 
 /**
- * Remove highlight styles
- */
-function removeHighlightStyles() {
-  const style = document.getElementById('element-screenshot-styles');
-  if (style) style.remove();
-}
-
-/**
- * Show minimal capture overlay with spinner
- * @returns {HTMLElement} Overlay element
+ * Inject batch capture progress styles
  */
-function showCaptureOverlay() {
-  const overlay = document.createElement('div');
-  overlay.className = 'element-screenshot-overlay';
+function injectBatchStyles() {
+  if (document.getElementById('element-screenshot-batch-styles')) return;
 
-  const spinner = document.createElement('div');
-  spinner.className = 'element-screenshot-spinner';
+  const style = document.createElement('style');
+  style.id = 'element-screenshot-batch-styles';
+  style.textContent = `
+    .element-screenshot-batch-panel {
+      position: fixed;
+      bottom: 20px;
+      left: 50%;
+      transform: translateX(-50%);
+      z-index: 2147483647;
+      display: flex;
+      align-items: center;
+      gap: 12px;
+      padding: 10px 12px 10px 16px;
+      border-radius: 8px;
+      background: rgba(15, 23, 42, 0.95);
+      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
+      color: white;
+      font: 500 13px system-ui, -apple-system, sans-serif;
+    }
 
-  const text = document.createElement('div');
-  text.className = 'element-screenshot-text';
-  text.textContent = 'Processing Capture...';
+    .element-screenshot-batch-progress {
+      width: 120px;
+      height: 4px;
+      border-radius: 2px;
+      background: #334155;
+      overflow: hidden;
+    }
 
-  overlay.appendChild(spinner);
-  overlay.appendChild(text);
-  document.body.appendChild(overlay);
+    .element-screenshot-batch-bar {
+      width: 0;
+      height: 100%;
+      background: #3b82f6;
+      transition: width 0.2s ease;
+    }
 
-  return overlay;
-}
+    .element-screenshot-batch-panel button {
+      padding: 6px 12px;
+      border: 1px solid #334155;
+      border-radius: 6px;
+      background: transparent;
+      color: white;
+      font: 500 13px system-ui, -apple-system, sans-serif;
+      cursor: pointer;
+    }
+  `;
 
-/**
- * Remove capture overlay
- * @param {HTMLElement} overlay - Overlay element to remove
- */
-function removeCaptureOverlay(overlay) {
-  if (overlay && overlay.parentNode) {
-    overlay.remove();
-  }
+  document.head.appendChild(style);
 }
 
 /**
@@ -218,6 +851,307 @@ function showScrollbars(scrollbarState) {
   }
 }
 
+/**
+ * Key of the current site in the per-site hide lists
+ * @returns {string} Host name, or the protocol for pages without one (file:)
+ */
+function getHideListSite() {
+  return location.hostname || location.protocol;
+}
+
+/**
+ * Load the global and this site's hide lists
+ * @returns {Promise<string[]>} CSS selectors
+ */
+async function getHideSelectors() {
+  const settings = await chrome.storage.local.get(['hideSelectors', 'hideSelectorsBySite']);
+
+  return [
+    ...splitRuleLines(settings.hideSelectors),
+    ...splitRuleLines(settings.hideSelectorsBySite?.[getHideListSite()])
+  ];
+}
+
+/**
+ * Hide listed elements (cookie banners, chat widgets, overlays) for a capture
+ * Uses a style sheet rather than inline styles so elements inserted while
+ * the capture runs are hidden too; visibility keeps the layout unchanged
+ * @param {string[]} selectors - CSS selectors; invalid ones are skipped
+ * @returns {object|null} Object with restore function, null when nothing is listed
+ */
+function hideListedElements(selectors) {
+  const valid = selectors.filter(selector => {
+    try {
+      document.querySelector(selector);
+      return true;
+    } catch (e) {
+      console.warn('Invalid hide list selector:', selector);
+      return false;
+    }
+  });
+
+  if (valid.length === 0) return null;
+
+  const style = document.createElement('style');
+  style.id = 'element-screenshot-hide-list';
+  style.textContent = valid.map(selector => `${selector} { visibility: hidden !important; }`).join('\n');
+  document.documentElement.appendChild(style);
+
+  return {
+    restore: () => style.remove()
+  };
+}
+
+/**
+ * Show elements hidden by hideListedElements again
+ * @param {object} hiddenState - State returned by hideListedElements
+ */
+function showListedElements(hiddenState) {
+  if (hiddenState && hiddenState.restore) {
+    hiddenState.restore();
+  }
+}
+
+/**
+ * Prepare fixed and sticky elements for full-page stitching
+ * Without this they show up again in every row of the stitched image.
+ * Sticky elements are put back into normal flow for the whole capture;
+ * fixed elements are only shown in the first row (top-anchored) or the
+ * last row (bottom-anchored) and hidden everywhere else.
+ * Must be called while the page is scrolled to the top.
+ * @returns {object} Object with update and restore functions
+ */
+function prepareFixedElements() {
+  const fixedElements = [];
+  const stickyElements = [];
+
+  const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_ELEMENT, {
+    acceptNode(node) {
+      const position = getComputedStyle(node).position;
+
+      if (position === 'fixed') {
+        const rect = node.getBoundingClientRect();
+        if (rect.width > 0 && rect.height > 0) {
+          fixedElements.push({
+            element: node,
+            anchor: rect.top + rect.height / 2 <= window.innerHeight / 2 ? 'top' : 'bottom',
+            visibility: node.style.getPropertyValue('visibility'),
+            priority: node.style.getPropertyPriority('visibility')
+          });
+        }
+        // Descendants move with their fixed ancestor
+        return NodeFilter.FILTER_REJECT;
+      }
+
+      if (position === 'sticky') {
+        stickyElements.push({
+          element: node,
+          position: node.style.getPropertyValue('position'),
+          priority: node.style.getPropertyPriority('position')
+        });
+      }
+
+      return NodeFilter.FILTER_SKIP;
+    }
+  });
+
+  // Walk the whole tree; classification happens in acceptNode
+  walker.nextNode();
+
+  stickyElements.forEach(({ element }) => {
+    element.style.setProperty('position', 'static', 'important');
+  });
+
+  console.log(`Full page capture: ${fixedElements.length} fixed, ${stickyElements.length} sticky elements`);
+
+  return {
+    update: (firstRow, lastRow) => {
+      fixedElements.forEach(({ element, anchor, visibility, priority }) => {
+        const visible = anchor === 'top' ? firstRow : lastRow;
+        if (visible) {
+          element.style.setProperty('visibility', visibility, priority);
+        } else {
+          element.style.setProperty('visibility', 'hidden', 'important');
+        }
+      });
+    },
+    restore: () => {
+      fixedElements.forEach(({ element, visibility, priority }) => {
+        element.style.setProperty('visibility', visibility, priority);
+      });
+      stickyElements.forEach(({ element, position, priority }) => {
+        element.style.setProperty('position', position, priority);
+      });
+    }
+  };
+}
+
+/**
+ * Restore fixed and sticky elements after full-page stitching
+ * @param {object} fixedElementsState - State object returned from prepareFixedElements
+ */
+function restoreFixedElements(fixedElementsState) {
+  if (fixedElementsState && fixedElementsState.restore) {
+    fixedElementsState.restore();
+  }
+}
+
+/**
+ * Isolate an element for PDF printing
+ * Print-only rules hide everything except the element and its ancestors;
+ * the ancestors lose their own box (margins, padding, positioning) so the
+ * element starts at the top left of the first page, at its on-screen
+ * width. The page on screen is unchanged.
+ * @param {HTMLElement} element - Element to print
+ * @returns {object} Object with restore function
+ */
+function isolateForPrint(element) {
+  const width = element.getBoundingClientRect().width;
+  const ancestors = [];
+
+  for (let node = element.parentElement; node; node = node.parentElement) {
+    node.setAttribute('data-element-screenshot-print-path', '');
+    ancestors.push(node);
+  }
+  element.setAttribute('data-element-screenshot-print', '');
+
+  const style = document.createElement('style');
+  style.id = 'element-screenshot-print';
+  style.textContent = `
+    @media print {
+      [data-element-screenshot-print-path] > :not([data-element-screenshot-print-path], [data-element-screenshot-print]) {
+        display: none !important;
+      }
+
+      [data-element-screenshot-print-path] {
+        display: block !important;
+        position: static !important;
+        margin: 0 !important;
+        padding: 0 !important;
+        border: 0 !important;
+        width: auto !important;
+        min-width: 0 !important;
+        max-width: none !important;
+        height: auto !important;
+        min-height: 0 !important;
+        max-height: none !important;
+        overflow: visible !important;
+        transform: none !important;
+      }
+
+      [data-element-screenshot-print] {
+        position: relative !important;
+        inset: auto !important;
+        float: none !important;
+        margin: 0 !important;
+        transform: none !important;
+        box-sizing: border-box !important;
+        width: ${width}px !important;
+      }
+    }
+  `;
+  document.head.appendChild(style);
+
+  return {
+    restore: () => {
+      style.remove();
+      element.removeAttribute('data-element-screenshot-print');
+      ancestors.forEach(node => node.removeAttribute('data-element-screenshot-print-path'));
+    }
+  };
+}
+
+/**
+ * Restore the page after isolateForPrint
+ * @param {object} printState - State object returned from isolateForPrint
+ */
+function restorePrint(printState) {
+  if (printState && printState.restore) {
+    printState.restore();
+  }
+}
+
+/**
+ * Measure what a PDF will print, while print media is emulated
+ * @param {boolean} element - Measure the isolated element rather than the document
+ * @returns {object} Object with width and height (CSS pixels)
+ */
+function measurePrintLayout(element) {
+  const target = element && document.querySelector('[data-element-screenshot-print]');
+
+  if (target) {
+    const rect = target.getBoundingClientRect();
+    return { width: Math.ceil(rect.width), height: Math.ceil(rect.height) };
+  }
+
+  return {
+    width: document.documentElement.clientWidth,
+    height: document.documentElement.scrollHeight
+  };
+}
+
+/**
+ * Put an element in front of a plain backdrop (transparent background captures)
+ * Everything except the element is made invisible in place - its ancestors
+ * too, which hides their backgrounds and borders - so the layout doesn't
+ * change. The page background becomes a solid color that can be switched
+ * between captures. Redaction overlays stay visible.
+ * @param {HTMLElement} element - Element to capture
+ * @param {string} color - Backdrop color
+ * @returns {object} Object with setColor and restore functions
+ */
+function isolateBackdrop(element, color) {
+  const ancestors = [];
+
+  for (let node = element.parentElement; node; node = node.parentElement) {
+    node.setAttribute('data-element-screenshot-backdrop-path', '');
+    ancestors.push(node);
+  }
+  element.setAttribute('data-element-screenshot-backdrop', '');
+
+  const style = document.createElement('style');
+  style.id = 'element-screenshot-backdrop';
+  document.head.appendChild(style);
+
+  const setColor = (backdrop) => {
+    style.textContent = `
+      html, body {
+        background: ${backdrop} !important;
+      }
+
+      [data-element-screenshot-backdrop-path]:not(html, body),
+      [data-element-screenshot-backdrop-path] > :not([data-element-screenshot-backdrop-path], [data-element-screenshot-backdrop], element-snapper-redaction) {
+        visibility: hidden !important;
+      }
+
+      [data-element-screenshot-backdrop] {
+        visibility: visible !important;
+      }
+    `;
+  };
+
+  setColor(color);
+
+  return {
+    setColor,
+    restore: () => {
+      style.remove();
+      element.removeAttribute('data-element-screenshot-backdrop');
+      ancestors.forEach(node => node.removeAttribute('data-element-screenshot-backdrop-path'));
+    }
+  };
+}
+
+/**
+ * Restore the page after isolateBackdrop
+ * @param {object} backdropState - State object returned from isolateBackdrop
+ */
+function restoreBackdrop(backdropState) {
+  if (backdropState && backdropState.restore) {
+    backdropState.restore();
+  }
+}
+
 /**
  * Show debug border overlay for tile capture
  * @param {number} x - X position in viewport (CSS pixels)
@@ -364,6 +1298,87 @@ function injectCountdownStyles() {
 
   document.head.appendChild(style);
 }
+/**
+ * Send capture request to the service worker and report the outcome
+ * Applies the hide list and redaction while the capture runs, notifies the
+ * popup and shows a toast for downloads
+ * @param {string} action - Service worker action (captureElement/captureViewportOrPage/captureBreakpoints)
+ * @param {object} captureData - Capture data
+ * @returns {Promise<object>} Service worker response
+ */
+async function requestCapture(action, captureData) {
+  // Notify popup that capture started
+  chrome.runtime.sendMessage({ action: 'captureStarted' });
+
+  // Source page, kept with the capture in history
+  captureData.page = { url: location.href, title: document.title };
+
+  // Hide listed elements and cover sensitive content for the duration of the capture
+  const settings = await chrome.storage.local.get(REDACTION_SETTING_KEYS);
+  const hiddenState = hideListedElements(await getHideSelectors());
+  const redactionState = settings.redactionEnabled ? applyRedaction(settings) : null;
+
+  let response;
+  try {
+    if (hiddenState || redactionState) {
+      // Let overlays paint before the first captureVisibleTab
+      await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+    }
+
+    response = await chrome.runtime.sendMessage({ action, data: captureData });
+  } finally {
+    // Always restore the page, even if the capture fails
+    removeRedaction(redactionState);
+    showListedElements(hiddenState);
+  }
+
+  if (response?.success && captureData.batch) {
+    // Batches report once at the end; a toast would show up in the next capture
+    chrome.runtime.sendMessage({ action: 'captureSuccess', engine: response.engine, result: response.action });
+  } else if (response?.success) {
+    console.log(`Captured with ${response.engine} engine`);
+
+    const comparisonNote = response.comparison ? ` · ${describeComparison(response.comparison)}` : '';
+
+    if (response.action === 'download') {
+      const engineNote = response.engine === 'debugger' ? ' (DevTools engine)' : '';
+      const partsNote = response.parts > 1
+        ? ` as ${response.parts} parts${response.archive ? ' in a ZIP' : ''}`
+        : '';
+      const formatNote = response.formatFallback ? ` as PNG (${response.formatFallback} not supported)` : '';
+      const pdfNote = response.pdfSkipped ? ' as an image (no PDF while Redact is on)' : '';
+      const subject = response.breakpoints && !response.composite
+        ? `${response.breakpoints} breakpoint screenshots`
+        : response.pdf ? 'PDF' : 'Screenshot';
+      showNotification(`${subject} saved to downloads${response.breakpoints ? '' : partsNote}${formatNote}${pdfNote}${response.pdf ? '' : engineNote}${comparisonNote}`, 'success');
+    } else if (response.action === 'review') {
+      showNotification(`Screenshot opened in editor${comparisonNote}`, 'success');
+    } else if (response.comparison) {
+      showNotification(`Copied to clipboard${comparisonNote}`, 'success');
+    }
+    chrome.runtime.sendMessage({ action: 'captureSuccess', engine: response.engine, result: response.action });
+  } else {
+    chrome.runtime.sendMessage({
+      action: 'captureError',
+      error: response?.error || 'No response from the extension'
+    });
+  }
+
+  return response;
+}
+
+/**
+ * Summarize a baseline comparison for the toast
+ * @param {object} comparison - Comparison with percent, changedPixels and regions
+ * @returns {string} e.g. "2.31% changed vs baseline (3 regions)"
+ */
+function describeComparison({ percent, changedPixels, regions }) {
+  if (changedPixels === 0) return 'matches baseline';
+
+  const shown = percent < 0.01 ? '<0.01' : percent.toFixed(2);
+  return `${shown}% changed vs baseline (${regions.length} region${regions.length === 1 ? '' : 's'}, diff saved)`;
+}
+
 /**
  * Show toast notification
  * @param {string} message - Notification message
@@ -406,10 +1421,12 @@ function showNotification(message, type = 'success') {
     pointer-events: none;
   `;
 
-  notification.innerHTML = `
-    ${icon}
-    <span>${message}</span>
-  `;
+  // Messages can contain page text (selectors, recipe names), so only the
+  // fixed icon is parsed as markup
+  const text = document.createElement('span');
+  text.textContent = message;
+  notification.innerHTML = icon;
+  notification.appendChild(text);
 
   document.body.appendChild(notification);
 
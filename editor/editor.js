@@ -0,0 +1,461 @@
+/**
+ * Element Snapper - Annotation editor
+ * Opens a pending capture (see deliverCapture in the service worker),
+ * lets the user draw annotations on it and saves or copies the flattened
+ * image in the configured format
+ */
+
+// Keyboard shortcuts for tools
+const TOOL_KEYS = {
+  a: 'arrow',
+  r: 'rectangle',
+  e: 'ellipse',
+  p: 'freehand',
+  h: 'highlighter',
+  t: 'text',
+  n: 'step'
+};
+
+// Tools that follow the pointer path instead of a start/end drag
+const PATH_TOOLS = ['freehand', 'highlighter'];
+
+class AnnotationEditor {
+  /**
+   * @param {HTMLCanvasElement} canvas - Editor canvas
+   * @param {ImageBitmap} image - Captured image
+   * @param {number} scale - Device pixel ratio of the capture (annotation size unit)
+   */
+  constructor(canvas, image, scale) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.image = image;
+    this.scale = scale;
+
+    this.shapes = [];
+    this.redoStack = [];
+    this.draft = null;
+    this.textInput = null;
+
+    this.tool = 'arrow';
+    this.color = '#ef4444';
+    this.width = 4;
+
+    this.onChange = () => {};
+
+    canvas.width = image.width;
+    canvas.height = image.height;
+    canvas.style.width = `${image.width / scale}px`;
+
+    canvas.addEventListener('pointerdown', this.handlePointerDown.bind(this));
+    canvas.addEventListener('pointermove', this.handlePointerMove.bind(this));
+    canvas.addEventListener('pointerup', this.handlePointerUp.bind(this));
+
+    this.render();
+  }
+
+  /**
+   * Convert pointer event to image coordinates
+   * @param {PointerEvent} event - Pointer event
+   * @returns {object} Point with x, y (physical pixels)
+   */
+  toImagePoint(event) {
+    const rect = this.canvas.getBoundingClientRect();
+
+    return {
+      x: (event.clientX - rect.left) * (this.canvas.width / rect.width),
+      y: (event.clientY - rect.top) * (this.canvas.height / rect.height)
+    };
+  }
+
+  /**
+   * Create a shape with the current style
+   * @param {string} type - Shape type
+   * @param {object} point - First point
+   * @returns {object} Shape
+   */
+  createShape(type, point) {
+    return {
+      type,
+      color: this.color,
+      width: this.width * this.scale,
+      points: [point]
+    };
+  }
+
+  /**
+   * Handle pointer down - start a shape or place a click tool
+   * @param {PointerEvent} event - Pointer event
+   */
+  handlePointerDown(event) {
+    if (event.button !== 0) return;
+
+    // Commit an open text label before starting something else
+    if (this.textInput) {
+      this.commitText();
+      return;
+    }
+
+    const point = this.toImagePoint(event);
+
+    if (this.tool === 'text') {
+      this.openTextInput(point);
+      return;
+    }
+
+    if (this.tool === 'step') {
+      const shape = this.createShape('step', point);
+      shape.number = this.shapes.filter(s => s.type === 'step').length + 1;
+      this.addShape(shape);
+      return;
+    }
+
+    this.draft = this.createShape(this.tool, point);
+    this.canvas.setPointerCapture(event.pointerId);
+  }
+
+  /**
+   * Handle pointer move - extend the shape being drawn
+   * @param {PointerEvent} event - Pointer event
+   */
+  handlePointerMove(event) {
+    if (!this.draft) return;
+
+    const point = this.toImagePoint(event);
+
+    if (PATH_TOOLS.includes(this.draft.type)) {
+      this.draft.points.push(point);
+    } else {
+      this.draft.points[1] = point;
+    }
+
+    this.render();
+  }
+
+  /**
+   * Handle pointer up - commit the shape
+   * Drags too short to see are dropped (except pen dots)
+   * @param {PointerEvent} event - Pointer event
+   */
+  handlePointerUp(event) {
+    if (!this.draft) return;
+
+    const shape = this.draft;
+    this.draft = null;
+    this.canvas.releasePointerCapture(event.pointerId);
+
+    const end = shape.points[shape.points.length - 1];
+    const start = shape.points[0];
+    const isPath = PATH_TOOLS.includes(shape.type);
+    const length = Math.hypot(end.x - start.x, end.y - start.y);
+
+    if (isPath || length >= 3 * this.scale) {
+      this.addShape(shape);
+    } else {
+      this.render();
+    }
+  }
+
+  /**
+   * Show text field at a point
+   * @param {object} point - Point in image coordinates
+   */
+  openTextInput(point) {
+    const ratio = this.canvas.getBoundingClientRect().width / this.canvas.width;
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'text-input';
+    input.style.left = `${point.x * ratio}px`;
+    input.style.top = `${point.y * ratio}px`;
+    input.style.fontSize = `${this.width * this.scale * 5 * ratio}px`;
+    input.placeholder = 'Label';
+
+    input.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      if (e.key === 'Enter') this.commitText();
+      if (e.key === 'Escape') this.closeTextInput();
+    });
+    input.addEventListener('blur', () => this.commitText());
+
+    this.canvas.parentElement.appendChild(input);
+    this.textInput = { input, point };
+    requestAnimationFrame(() => input.focus());
+  }
+
+  /**
+   * Turn the open text field into a text shape
+   */
+  commitText() {
+    if (!this.textInput) return;
+
+    const { input, point } = this.textInput;
+    const text = input.value.trim();
+    this.closeTextInput();
+
+    if (text) {
+      const shape = this.createShape('text', point);
+      shape.text = text;
+      this.addShape(shape);
+    }
+  }
+
+  /**
+   * Remove text field without adding a shape
+   */
+  closeTextInput() {
+    if (!this.textInput) return;
+
+    const { input } = this.textInput;
+    this.textInput = null;
+    input.remove();
+  }
+
+  /**
+   * Add a finished shape (clears redo history)
+   * @param {object} shape - Shape
+   */
+  addShape(shape) {
+    this.shapes.push(shape);
+    this.redoStack = [];
+    this.render();
+    this.onChange();
+  }
+
+  /**
+   * Remove the last shape
+   */
+  undo() {
+    if (this.shapes.length === 0) return;
+
+    this.redoStack.push(this.shapes.pop());
+    this.render();
+    this.onChange();
+  }
+
+  /**
+   * Restore the last undone shape
+   */
+  redo() {
+    if (this.redoStack.length === 0) return;
+
+    this.shapes.push(this.redoStack.pop());
+    this.render();
+    this.onChange();
+  }
+
+  /**
+   * Draw image, annotations and the shape in progress
+   */
+  render() {
+    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    this.ctx.drawImage(this.image, 0, 0);
+
+    this.shapes.forEach(shape => drawShape(this.ctx, shape));
+    if (this.draft && this.draft.points.length > 1) drawShape(this.ctx, this.draft);
+  }
+
+  /**
+   * Export flattened image
+   * @param {object} options - Encoder options (type, quality)
+   * @returns {Promise<Blob>} Image blob
+   */
+  toBlob(options) {
+    this.commitText();
+    this.render();
+
+    return new Promise((resolve, reject) => {
+      this.canvas.toBlob(blob => {
+        if (blob) resolve(blob);
+        else reject(new Error('Failed to encode image'));
+      }, options.type, options.quality);
+    });
+  }
+}
+
+// Editor page state
+const pendingId = Number(new URLSearchParams(location.search).get('id'));
+const statusText = document.getElementById('statusText');
+const saveBtn = document.getElementById('saveBtn');
+const copyBtn = document.getElementById('copyBtn');
+const discardBtn = document.getElementById('discardBtn');
+const undoBtn = document.getElementById('undoBtn');
+const redoBtn = document.getElementById('redoBtn');
+
+let editor = null;
+let pendingCapture = null;
+
+/**
+ * Show status next to the action buttons
+ * @param {string} message - Status text
+ * @param {boolean} isError - Show as error
+ */
+function setStatus(message, isError = false) {
+  statusText.textContent = message;
+  statusText.classList.toggle('error', isError);
+}
+
+/**
+ * Mark one button in a group as active
+ * @param {string} groupId - Toolbar group element ID
+ * @param {HTMLElement} button - Button to activate
+ */
+function activateButton(groupId, button) {
+  document.querySelectorAll(`#${groupId} button`).forEach(b => b.classList.toggle('active', b === button));
+}
+
+/**
+ * Store the annotated image in the pending capture and hand it to the
+ * service worker, which downloads it (unless copied), records history and
+ * removes the pending capture (stored again on the next save)
+ * @param {boolean} copied - Whether the image was copied to the clipboard
+ * @param {Blob} blob - Annotated image
+ * @returns {Promise<object>} Service worker response
+ */
+async function finishCapture(copied, blob) {
+  pendingCapture = { ...pendingCapture, blob };
+  await updatePendingCapture(pendingCapture);
+
+  return chrome.runtime.sendMessage({ action: 'saveEditedCapture', id: pendingId, copied });
+}
+
+/**
+ * Save annotated image to downloads
+ */
+async function saveImage() {
+  saveBtn.disabled = true;
+  setStatus('Saving...');
+
+  try {
+    const blob = await editor.toBlob(getEncoderOptions(pendingCapture.format, pendingCapture.quality));
+    const response = await finishCapture(false, blob);
+
+    if (!response?.success) throw new Error(response?.error || 'Save failed');
+    setStatus('Saved to downloads');
+  } catch (error) {
+    console.error('Save failed:', error);
+    setStatus(error.message, true);
+  } finally {
+    saveBtn.disabled = false;
+  }
+}
+
+/**
+ * Copy annotated image to clipboard
+ * Clipboard only accepts PNG, so the saved history entry uses the
+ * configured format while the clipboard gets a PNG
+ */
+async function copyImage() {
+  copyBtn.disabled = true;
+
+  try {
+    const png = await editor.toBlob({ type: 'image/png' });
+    await navigator.clipboard.write([new ClipboardItem({ 'image/png': png })]);
+
+    const blob = await editor.toBlob(getEncoderOptions(pendingCapture.format, pendingCapture.quality));
+    const response = await finishCapture(true, blob);
+
+    if (!response?.success) throw new Error(response?.error || 'Save failed');
+    setStatus('Copied to clipboard');
+  } catch (error) {
+    console.error('Copy failed:', error);
+    setStatus(`Copy failed: ${error.message}`, true);
+  } finally {
+    copyBtn.disabled = false;
+  }
+}
+
+/**
+ * Update undo/redo buttons
+ */
+function updateHistoryButtons() {
+  undoBtn.disabled = editor.shapes.length === 0;
+  redoBtn.disabled = editor.redoStack.length === 0;
+}
+
+// Initialize editor
+(async () => {
+  try {
+    pendingCapture = await getPendingCapture(pendingId);
+    if (!pendingCapture) throw new Error('Capture no longer available');
+
+    const image = await createImageBitmap(pendingCapture.blob);
+    const scale = pendingCapture.data?.devicePixelRatio || 1;
+
+    editor = new AnnotationEditor(document.getElementById('editorCanvas'), image, scale);
+    editor.onChange = updateHistoryButtons;
+    document.title = `Annotate ${pendingCapture.filename} - Element Snapper`;
+  } catch (error) {
+    console.error('Failed to open capture:', error);
+    setStatus(error.message, true);
+    saveBtn.disabled = true;
+    copyBtn.disabled = true;
+    undoBtn.disabled = true;
+    redoBtn.disabled = true;
+  }
+})();
+
+// Event Listeners
+
+document.querySelectorAll('#toolGroup button').forEach(button => {
+  button.addEventListener('click', () => {
+    if (!editor) return;
+
+    editor.tool = button.dataset.tool;
+    activateButton('toolGroup', button);
+  });
+});
+
+document.querySelectorAll('#colorGroup button').forEach(button => {
+  button.addEventListener('click', () => {
+    if (!editor) return;
+
+    editor.color = button.dataset.color;
+    activateButton('colorGroup', button);
+  });
+});
+
+document.querySelectorAll('#widthGroup button').forEach(button => {
+  button.addEventListener('click', () => {
+    if (!editor) return;
+
+    editor.width = Number(button.dataset.width);
+    activateButton('widthGroup', button);
+  });
+});
+
+undoBtn.addEventListener('click', () => {
+  if (!editor) return;
+  editor.undo();
+});
+
+redoBtn.addEventListener('click', () => {
+  if (!editor) return;
+  editor.redo();
+});
+saveBtn.addEventListener('click', saveImage);
+copyBtn.addEventListener('click', copyImage);
+
+discardBtn.addEventListener('click', async () => {
+  await deletePendingCapture(pendingId);
+  window.close();
+});
+
+document.addEventListener('keydown', (e) => {
+  if (!editor) return;
+
+  const mod = e.ctrlKey || e.metaKey;
+  const key = e.key.toLowerCase();
+
+  if (mod && key === 'z') {
+    e.preventDefault();
+    if (e.shiftKey) editor.redo();
+    else editor.undo();
+  } else if (mod && key === 'y') {
+    e.preventDefault();
+    editor.redo();
+  } else if (mod && key === 's') {
+    e.preventDefault();
+    saveImage();
+  } else if (!mod && !e.altKey && TOOL_KEYS[key]) {
+    document.querySelector(`#toolGroup [data-tool="${TOOL_KEYS[key]}"]`).click();
+  }
+});
@@ -0,0 +1,207 @@
+/**
+ * Element Snapper - Annotation shapes
+ * Drawing routines for editor annotations. Shapes are plain objects in
+ * image (physical pixel) coordinates:
+ * { type, color, width, points: [{x, y}, ...], text?, number? }
+ */
+
+/**
+ * Draw one annotation
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {object} shape - Annotation
+ */
+function drawShape(ctx, shape) {
+  ctx.save();
+  ctx.strokeStyle = shape.color;
+  ctx.fillStyle = shape.color;
+  ctx.lineWidth = shape.width;
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+
+  switch (shape.type) {
+    case 'arrow':
+      drawArrow(ctx, shape);
+      break;
+    case 'rectangle':
+      drawRectangle(ctx, shape);
+      break;
+    case 'ellipse':
+      drawEllipse(ctx, shape);
+      break;
+    case 'freehand':
+      drawPath(ctx, shape.points);
+      break;
+    case 'highlighter':
+      drawHighlighter(ctx, shape);
+      break;
+    case 'text':
+      drawText(ctx, shape);
+      break;
+    case 'step':
+      drawStep(ctx, shape);
+      break;
+  }
+
+  ctx.restore();
+}
+
+/**
+ * Get box spanned by the first and last point
+ * @param {object} shape - Annotation
+ * @returns {object} Box with x, y, width, height
+ */
+function getShapeBox(shape) {
+  const start = shape.points[0];
+  const end = shape.points[shape.points.length - 1];
+
+  return {
+    x: Math.min(start.x, end.x),
+    y: Math.min(start.y, end.y),
+    width: Math.abs(end.x - start.x),
+    height: Math.abs(end.y - start.y)
+  };
+}
+
+/**
+ * Arrow from first to last point with a filled head
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {object} shape - Annotation
+ */
+function drawArrow(ctx, shape) {
+  const start = shape.points[0];
+  const end = shape.points[shape.points.length - 1];
+  const angle = Math.atan2(end.y - start.y, end.x - start.x);
+  const headLength = shape.width * 4;
+
+  // Stop the shaft inside the head so the round cap doesn't poke through
+  const shaftEnd = {
+    x: end.x - Math.cos(angle) * headLength * 0.8,
+    y: end.y - Math.sin(angle) * headLength * 0.8
+  };
+
+  ctx.beginPath();
+  ctx.moveTo(start.x, start.y);
+  ctx.lineTo(shaftEnd.x, shaftEnd.y);
+  ctx.stroke();
+
+  ctx.beginPath();
+  ctx.moveTo(end.x, end.y);
+  ctx.lineTo(end.x - headLength * Math.cos(angle - Math.PI / 7), end.y - headLength * Math.sin(angle - Math.PI / 7));
+  ctx.lineTo(end.x - headLength * Math.cos(angle + Math.PI / 7), end.y - headLength * Math.sin(angle + Math.PI / 7));
+  ctx.closePath();
+  ctx.fill();
+}
+
+/**
+ * Outlined rectangle
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {object} shape - Annotation
+ */
+function drawRectangle(ctx, shape) {
+  const box = getShapeBox(shape);
+  ctx.strokeRect(box.x, box.y, box.width, box.height);
+}
+
+/**
+ * Outlined ellipse inscribed in the dragged box
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {object} shape - Annotation
+ */
+function drawEllipse(ctx, shape) {
+  const box = getShapeBox(shape);
+
+  ctx.beginPath();
+  ctx.ellipse(box.x + box.width / 2, box.y + box.height / 2, box.width / 2, box.height / 2, 0, 0, Math.PI * 2);
+  ctx.stroke();
+}
+
+/**
+ * Stroke a polyline through points
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {object[]} points - Points with x, y
+ */
+function drawPath(ctx, points) {
+  ctx.beginPath();
+  ctx.moveTo(points[0].x, points[0].y);
+  points.slice(1).forEach(point => ctx.lineTo(point.x, point.y));
+
+  // Single click: draw a dot
+  if (points.length === 1) ctx.lineTo(points[0].x + 0.1, points[0].y);
+
+  ctx.stroke();
+}
+
+/**
+ * Wide translucent marker stroke
+ * Multiply blending keeps the text underneath readable
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {object} shape - Annotation
+ */
+function drawHighlighter(ctx, shape) {
+  ctx.globalAlpha = 0.4;
+  ctx.globalCompositeOperation = 'multiply';
+  ctx.lineWidth = shape.width * 4;
+  ctx.lineCap = 'square';
+  drawPath(ctx, shape.points);
+}
+
+/**
+ * Text label on a rounded background for contrast
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {object} shape - Annotation
+ */
+function drawText(ctx, shape) {
+  const { x, y } = shape.points[0];
+  const fontSize = shape.width * 5;
+  const padding = fontSize * 0.3;
+
+  ctx.font = `600 ${fontSize}px Inter, -apple-system, BlinkMacSystemFont, sans-serif`;
+  ctx.textBaseline = 'top';
+
+  const width = ctx.measureText(shape.text).width;
+
+  ctx.beginPath();
+  ctx.roundRect(x - padding, y - padding, width + padding * 2, fontSize + padding * 2, padding);
+  ctx.fill();
+
+  ctx.fillStyle = getContrastColor(shape.color);
+  ctx.fillText(shape.text, x, y);
+}
+
+/**
+ * Numbered circle marking a step
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {object} shape - Annotation
+ */
+function drawStep(ctx, shape) {
+  const { x, y } = shape.points[0];
+  const radius = shape.width * 4;
+
+  ctx.beginPath();
+  ctx.arc(x, y, radius, 0, Math.PI * 2);
+  ctx.fill();
+
+  ctx.lineWidth = Math.max(1, shape.width / 2);
+  ctx.strokeStyle = 'white';
+  ctx.stroke();
+
+  ctx.fillStyle = getContrastColor(shape.color);
+  ctx.font = `700 ${radius * 1.1}px Inter, -apple-system, BlinkMacSystemFont, sans-serif`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(String(shape.number), x, y + radius * 0.05);
+}
+
+/**
+ * Pick black or white text for a background color
+ * @param {string} color - Hex color (#rrggbb)
+ * @returns {string} Text color
+ */
+function getContrastColor(color) {
+  const value = parseInt(color.slice(1), 16);
+  const r = (value >> 16) & 0xFF;
+  const g = (value >> 8) & 0xFF;
+  const b = value & 0xFF;
+
+  return (r * 299 + g * 587 + b * 114) / 1000 > 150 ? '#0f172a' : '#ffffff';
+}
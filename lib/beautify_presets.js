@@ -0,0 +1,103 @@
+/**
+ * Element Snapper - Beautify presets
+ * Frames drawn around captures for sharing (background, padding, rounded
+ * corners, drop shadow, aspect ratio). Shared by the service worker
+ * (rendering) and the options page (preset editor).
+ */
+
+// Fixed frame aspect ratios (width / height); auto fits the frame to the capture
+const BEAUTIFY_ASPECT_RATIOS = { auto: null, '16:9': 16 / 9, '1:1': 1, '4:5': 4 / 5 };
+
+// Background fills
+const BEAUTIFY_BACKGROUNDS = ['solid', 'gradient', 'transparent'];
+
+// Accepted range of the numeric fields: CSS pixels, degrees for the angle
+const BEAUTIFY_LIMITS = {
+  padding: { min: 0, max: 256 },
+  radius: { min: 0, max: 64 },
+  shadow: { min: 0, max: 96 },
+  angle: { min: 0, max: 360 }
+};
+
+// Presets available until the list is edited
+// - color/color2: solid fill, or gradient start and end
+// - angle: gradient direction, like CSS linear-gradient (0 = to top, 90 = to right)
+// - shadow: drop shadow blur, 0 for none
+const DEFAULT_BEAUTIFY_PRESETS = [
+  { name: 'Sunset', background: 'gradient', color: '#f97316', color2: '#db2777', angle: 135, padding: 64, radius: 12, shadow: 32, aspect: 'auto' },
+  { name: 'Ocean', background: 'gradient', color: '#0ea5e9', color2: '#6366f1', angle: 135, padding: 64, radius: 12, shadow: 32, aspect: 'auto' },
+  { name: 'Slate', background: 'solid', color: '#1e293b', color2: '#0f172a', angle: 180, padding: 48, radius: 10, shadow: 24, aspect: 'auto' },
+  { name: 'Social 16:9', background: 'gradient', color: '#6366f1', color2: '#a855f7', angle: 135, padding: 48, radius: 12, shadow: 32, aspect: '16:9' },
+  { name: 'Transparent', background: 'transparent', color: '#ffffff', color2: '#ffffff', angle: 180, padding: 32, radius: 12, shadow: 24, aspect: 'auto' }
+];
+
+/**
+ * Fill in and clamp a preset's fields
+ * @param {object} preset - Stored preset, possibly incomplete
+ * @returns {object} Preset with every field valid
+ */
+function normalizeBeautifyPreset(preset) {
+  const defaults = DEFAULT_BEAUTIFY_PRESETS[0];
+  const normalized = { ...defaults, ...preset };
+
+  if (!BEAUTIFY_BACKGROUNDS.includes(normalized.background)) normalized.background = defaults.background;
+  if (!(normalized.aspect in BEAUTIFY_ASPECT_RATIOS)) normalized.aspect = 'auto';
+
+  for (const [key, { min, max }] of Object.entries(BEAUTIFY_LIMITS)) {
+    const value = Number(normalized[key]);
+    normalized[key] = Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : defaults[key];
+  }
+
+  return normalized;
+}
+
+/**
+ * Get the preset list
+ * @param {object} settings - Settings with beautifyPresets
+ * @returns {object[]} Saved presets, or the defaults when none are saved
+ */
+function getBeautifyPresets(settings) {
+  return settings.beautifyPresets?.length ? settings.beautifyPresets : DEFAULT_BEAUTIFY_PRESETS;
+}
+
+/**
+ * Get the preset captures are framed with
+ * @param {object} settings - Settings with beautifyPresets and beautifyPreset (name)
+ * @returns {object} Normalized preset, the first one when the name is unknown
+ */
+function getActiveBeautifyPreset(settings) {
+  const presets = getBeautifyPresets(settings);
+  const preset = presets.find(item => item.name === settings.beautifyPreset) || presets[0];
+  return normalizeBeautifyPreset(preset);
+}
+
+/**
+ * Lay out the frame around a capture
+ * @param {number} width - Capture width (physical pixels)
+ * @param {number} height - Capture height (physical pixels)
+ * @param {object} preset - Normalized preset
+ * @param {number} dpr - Device pixel ratio the capture was taken at (scale of the preset's sizes)
+ * @returns {object} Frame size and the capture's position in it
+ */
+function getBeautifyLayout(width, height, preset, dpr) {
+  const padding = Math.round(preset.padding * dpr);
+  let frameWidth = width + padding * 2;
+  let frameHeight = height + padding * 2;
+
+  // Grow the short side to reach the ratio; the capture stays centered
+  const ratio = BEAUTIFY_ASPECT_RATIOS[preset.aspect];
+  if (ratio) {
+    if (frameWidth / frameHeight < ratio) {
+      frameWidth = Math.round(frameHeight * ratio);
+    } else {
+      frameHeight = Math.round(frameWidth / ratio);
+    }
+  }
+
+  return {
+    width: frameWidth,
+    height: frameHeight,
+    x: Math.round((frameWidth - width) / 2),
+    y: Math.round((frameHeight - height) / 2)
+  };
+}
@@ -0,0 +1,40 @@
+/**
+ * Element Snapper - Responsive breakpoints
+ * Viewport widths for breakpoint captures. Shared by the service worker
+ * (captures) and the options page (edits and validates the list).
+ */
+
+// Mobile, tablet, laptop and desktop
+const DEFAULT_BREAKPOINT_WIDTHS = [375, 768, 1280, 1920];
+
+// Limits accepted by Emulation.setDeviceMetricsOverride in practice,
+// and a cap on how long one batch can take
+const MIN_BREAKPOINT_WIDTH = 200;
+const MAX_BREAKPOINT_WIDTH = 3840;
+const MAX_BREAKPOINTS = 8;
+
+/**
+ * Parse the widths setting
+ * @param {string} text - Widths separated by commas or spaces, e.g. "375, 768"
+ * @returns {number[]} Sorted, unique widths (defaults when the setting is empty)
+ * @throws {Error} When a width is not a number or out of range
+ */
+function parseBreakpointWidths(text) {
+  const values = (text || '').split(/[\s,]+/).filter(Boolean);
+  if (values.length === 0) return DEFAULT_BREAKPOINT_WIDTHS;
+
+  const widths = values.map(value => {
+    const width = Number(value.replace(/px$/i, ''));
+    if (!Number.isInteger(width) || width < MIN_BREAKPOINT_WIDTH || width > MAX_BREAKPOINT_WIDTH) {
+      throw new Error(`${value} is not a width between ${MIN_BREAKPOINT_WIDTH} and ${MAX_BREAKPOINT_WIDTH}`);
+    }
+    return width;
+  });
+
+  const unique = [...new Set(widths)].sort((a, b) => a - b);
+  if (unique.length > MAX_BREAKPOINTS) {
+    throw new Error(`At most ${MAX_BREAKPOINTS} widths`);
+  }
+
+  return unique;
+}
@@ -0,0 +1,315 @@
+/**
+ * Element Snapper - Capture history
+ * Keeps recent captures in IndexedDB so they can be downloaded or copied
+ * again later. Shared by the service worker (records captures), the
+ * popup (History tab), the editor (pending captures under review) and the
+ * options page (visual comparison baselines).
+ */
+
+const HISTORY_DB_NAME = 'element-snapper';
+const HISTORY_DB_VERSION = 3;
+const HISTORY_STORE = 'captures';
+const PENDING_STORE = 'pending';
+const BASELINE_STORE = 'baselines';
+
+// Pending captures older than this are abandoned editor sessions
+const PENDING_MAX_AGE = 24 * 60 * 60 * 1000;
+
+// Defaults for the diffThreshold (color distance, 0-1) / diffAntiAliasing (pixels) settings
+const DEFAULT_DIFF_THRESHOLD = 0.1;
+const DEFAULT_DIFF_ANTI_ALIASING = 1;
+
+// Defaults for the historyLimit / historyQuotaMB settings
+const DEFAULT_HISTORY_LIMIT = 50;
+const DEFAULT_HISTORY_QUOTA_MB = 200;
+
+let historyDatabase = null;
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<any>} Request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open (and create on first use) the history database
+ * @returns {Promise<IDBDatabase>} Database connection
+ */
+function openHistoryDatabase() {
+  if (!historyDatabase) {
+    const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+
+      if (event.oldVersion < 1) {
+        const store = db.createObjectStore(HISTORY_STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('timestamp', 'timestamp');
+      }
+
+      if (event.oldVersion < 2) {
+        db.createObjectStore(PENDING_STORE, { keyPath: 'id', autoIncrement: true });
+      }
+
+      if (event.oldVersion < 3) {
+        db.createObjectStore(BASELINE_STORE, { keyPath: 'key' });
+      }
+    };
+
+    historyDatabase = promisifyRequest(request).catch(error => {
+      historyDatabase = null;
+      throw new Error(`History database unavailable: ${error?.message}`);
+    });
+  }
+
+  return historyDatabase;
+}
+
+/**
+ * Run a callback against the history store inside one transaction
+ * @param {string} mode - Transaction mode (readonly/readwrite)
+ * @param {Function} callback - Receives the object store, may return an IDBRequest
+ * @param {string} storeName - Object store (history by default)
+ * @returns {Promise<any>} Request result once the transaction completes
+ */
+async function withHistoryStore(mode, callback, storeName = HISTORY_STORE) {
+  const db = await openHistoryDatabase();
+  const transaction = db.transaction(storeName, mode);
+  const request = callback(transaction.objectStore(storeName));
+  const result = request ? promisifyRequest(request) : Promise.resolve();
+
+  await new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+
+  return result;
+}
+
+/**
+ * Load history limits from settings
+ * @returns {Promise<object>} Object with maxEntries and maxBytes
+ */
+async function getHistoryLimits() {
+  const settings = await chrome.storage.local.get(['historyLimit', 'historyQuotaMB']);
+
+  return {
+    maxEntries: settings.historyLimit ?? DEFAULT_HISTORY_LIMIT,
+    maxBytes: (settings.historyQuotaMB ?? DEFAULT_HISTORY_QUOTA_MB) * 1024 * 1024
+  };
+}
+
+/**
+ * Store a capture, then drop the oldest entries beyond the limits
+ * @param {object} entry - Entry without id (see recordCapture in the service worker)
+ * @returns {Promise<number|null>} New entry ID, or null when history is disabled
+ */
+async function addHistoryEntry(entry) {
+  const limits = await getHistoryLimits();
+  if (limits.maxEntries <= 0) return null;
+
+  const id = await withHistoryStore('readwrite', store => store.add(entry));
+  await pruneHistory(limits);
+
+  return id;
+}
+
+/**
+ * List entries, newest first
+ * @returns {Promise<object[]>} History entries
+ */
+async function listHistoryEntries() {
+  const entries = await withHistoryStore('readonly', store => store.getAll());
+  return entries.sort((a, b) => b.timestamp - a.timestamp);
+}
+
+/**
+ * Get one entry
+ * @param {number} id - Entry ID
+ * @returns {Promise<object|undefined>} History entry
+ */
+function getHistoryEntry(id) {
+  return withHistoryStore('readonly', store => store.get(id));
+}
+
+/**
+ * Delete one entry
+ * @param {number} id - Entry ID
+ * @returns {Promise<void>}
+ */
+function deleteHistoryEntry(id) {
+  return withHistoryStore('readwrite', store => store.delete(id));
+}
+
+/**
+ * Delete all entries
+ * @returns {Promise<void>}
+ */
+function clearHistory() {
+  return withHistoryStore('readwrite', store => store.clear());
+}
+
+/**
+ * Drop oldest entries beyond the count or byte quota
+ * The newest entry is always kept, even if it alone exceeds the quota;
+ * a count of 0 (history off) drops everything
+ * @param {object} limits - Object with maxEntries and maxBytes
+ * @returns {Promise<void>}
+ */
+async function pruneHistory({ maxEntries, maxBytes }) {
+  const entries = await listHistoryEntries();
+  let totalBytes = 0;
+
+  const expired = entries.filter((entry, index) => {
+    totalBytes += entry.size;
+    if (maxEntries <= 0) return true;
+    return index > 0 && (index >= maxEntries || totalBytes > maxBytes);
+  });
+
+  if (expired.length === 0) return;
+
+  await withHistoryStore('readwrite', store => {
+    expired.forEach(entry => store.delete(entry.id));
+  });
+}
+
+/**
+ * Store a capture waiting for review in the editor
+ * Also drops abandoned ones (editor tab closed without saving)
+ * @param {object} capture - Object with blob, baselineParts (image as captured), filename, format, quality, mode and data
+ * @returns {Promise<number>} Pending capture ID
+ */
+async function addPendingCapture(capture) {
+  const pending = await withHistoryStore('readonly', store => store.getAll(), PENDING_STORE);
+  const abandoned = pending.filter(entry => Date.now() - entry.timestamp > PENDING_MAX_AGE);
+
+  if (abandoned.length > 0) {
+    await withHistoryStore('readwrite', store => {
+      abandoned.forEach(entry => store.delete(entry.id));
+    }, PENDING_STORE);
+  }
+
+  return withHistoryStore('readwrite', store => store.add({ ...capture, timestamp: Date.now() }), PENDING_STORE);
+}
+
+/**
+ * Get a pending capture
+ * @param {number} id - Pending capture ID
+ * @returns {Promise<object|undefined>} Pending capture
+ */
+function getPendingCapture(id) {
+  return withHistoryStore('readonly', store => store.get(id), PENDING_STORE);
+}
+
+/**
+ * Replace a pending capture (e.g. with the annotated image)
+ * @param {object} capture - Pending capture with id
+ * @returns {Promise<number>} Pending capture ID
+ */
+function updatePendingCapture(capture) {
+  return withHistoryStore('readwrite', store => store.put(capture), PENDING_STORE);
+}
+
+/**
+ * Delete a pending capture
+ * @param {number} id - Pending capture ID
+ * @returns {Promise<void>}
+ */
+function deletePendingCapture(id) {
+  return withHistoryStore('readwrite', store => store.delete(id), PENDING_STORE);
+}
+
+/**
+ * Keep one file of a batch capture ZIP until the batch finishes
+ * Stored with the pending captures, so the files survive the service
+ * worker being suspended mid-batch; abandoned ones are pruned like
+ * abandoned editor sessions
+ * @param {object} file - Object with batchId, archive (ZIP filename), name and blob
+ * @returns {Promise<number>} Pending entry ID
+ */
+function addPendingBatchFile(file) {
+  return withHistoryStore('readwrite', store => store.add({ ...file, timestamp: Date.now() }), PENDING_STORE);
+}
+
+/**
+ * List the files kept for a batch capture ZIP
+ * @param {string} batchId - Batch ID
+ * @returns {Promise<object[]>} Files in the order they were added
+ */
+async function listPendingBatchFiles(batchId) {
+  const pending = await withHistoryStore('readonly', store => store.getAll(), PENDING_STORE);
+  return pending.filter(entry => entry.batchId === batchId);
+}
+
+/**
+ * Delete the files kept for a batch capture ZIP
+ * @param {object[]} files - Files from listPendingBatchFiles
+ * @returns {Promise<void>}
+ */
+function deletePendingBatchFiles(files) {
+  return withHistoryStore('readwrite', store => {
+    files.forEach(file => store.delete(file.id));
+  }, PENDING_STORE);
+}
+
+/**
+ * Identify what a capture shows, for baseline lookups
+ * Elements are matched by selector, other captures by mode; the URL
+ * fragment is ignored
+ * @param {string} url - Page URL
+ * @param {string} mode - Capture mode (element/viewport/fullpage/region)
+ * @param {object} elementInfo - Element metadata with selector (element captures)
+ * @returns {string|null} Baseline key, null when the target can't be identified
+ */
+function getBaselineKey(url, mode, elementInfo) {
+  const target = mode === 'element' ? elementInfo?.selector : mode;
+  if (!url || !target) return null;
+
+  const pageUrl = new URL(url);
+  pageUrl.hash = '';
+
+  return `${pageUrl.href} ${target}`;
+}
+
+/**
+ * Store (or replace) the baseline for a target
+ * @param {object} baseline - Object with key, url, mode, target, parts, width, height and entryId
+ * @returns {Promise<string>} Baseline key
+ */
+function setBaseline(baseline) {
+  return withHistoryStore('readwrite', store => store.put({ ...baseline, timestamp: Date.now() }), BASELINE_STORE);
+}
+
+/**
+ * Get the baseline for a target
+ * @param {string} key - Baseline key (see getBaselineKey)
+ * @returns {Promise<object|undefined>} Baseline
+ */
+function getBaseline(key) {
+  return withHistoryStore('readonly', store => store.get(key), BASELINE_STORE);
+}
+
+/**
+ * List baselines, newest first
+ * @returns {Promise<object[]>} Baselines
+ */
+async function listBaselines() {
+  const baselines = await withHistoryStore('readonly', store => store.getAll(), BASELINE_STORE);
+  return baselines.sort((a, b) => b.timestamp - a.timestamp);
+}
+
+/**
+ * Delete the baseline for a target
+ * @param {string} key - Baseline key
+ * @returns {Promise<void>}
+ */
+function deleteBaseline(key) {
+  return withHistoryStore('readwrite', store => store.delete(key), BASELINE_STORE);
+}
@@ -0,0 +1,20 @@
+/**
+ * Element Snapper - Content script files
+ * Injected on demand by the popup and by keyboard shortcuts, in this order
+ */
+const CONTENT_SCRIPT_FILES = [
+  'lib/redaction_rules.js',
+  'content/utils.js',
+  'content/redaction.js',
+  'content/highlight_overlay.js',
+  'content/html_snapshot.js',
+  'content/element_selector.js',
+  'content/region_selector.js',
+  'content/batch_capture.js',
+  'content/context_target.js',
+  'content/content-main.js'
+];
+
+// Host access for running recipes, which open and capture pages without a
+// click on the extension (optional permission, requested on the first run)
+const RECIPE_HOST_PERMISSIONS = { origins: ['<all_urls>'] };
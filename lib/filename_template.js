@@ -0,0 +1,129 @@
+/**
+ * Element Snapper - Filename templates
+ * Expands templates such as `snaps/{host}/{date}/{mode}_{time}` into safe
+ * download paths. Shared by the service worker (downloads) and the options
+ * page (live preview).
+ */
+
+// Same names as before templates existed: screenshot_<id-or-tag-or-mode>_<timestamp>
+const DEFAULT_FILENAME_TEMPLATE = 'screenshot_{name}_{timestamp}';
+
+// Length limits, well below common filesystem limits (255 per name, 260 per path on Windows)
+const MAX_SEGMENT_LENGTH = 100;
+const MAX_PATH_LENGTH = 200;
+
+// Names Windows refuses for files and folders
+const RESERVED_NAMES = /^(con|prn|aux|nul|com[0-9]|lpt[0-9])(\..*)?$/i;
+
+// Documented tokens, shown in the options page
+const FILENAME_TOKENS = {
+  name: 'Element ID or tag, or the capture mode',
+  mode: 'element, viewport, fullpage or region',
+  host: 'Page host name',
+  title: 'Page title',
+  path: 'Page URL path',
+  tag: 'Element tag name',
+  id: 'Element ID',
+  class: 'First element class',
+  width: 'Image width (pixels)',
+  height: 'Image height (pixels)',
+  date: 'Date, or a custom format such as {date:YYYY-MM-DD}',
+  time: 'Time, HH-mm-ss',
+  timestamp: 'Date and time, YYYY-MM-DD_HH-mm-ss',
+  counter: 'Running number, or zero-padded such as {counter:4}'
+};
+
+/**
+ * Format a date with YYYY, MM, DD, HH, mm and ss placeholders
+ * @param {Date} date - Date
+ * @param {string} pattern - Format pattern
+ * @returns {string} Formatted date
+ */
+function formatTemplateDate(date, pattern) {
+  const pad = value => String(value).padStart(2, '0');
+  const parts = {
+    YYYY: date.getFullYear(),
+    MM: pad(date.getMonth() + 1),
+    DD: pad(date.getDate()),
+    HH: pad(date.getHours()),
+    mm: pad(date.getMinutes()),
+    ss: pad(date.getSeconds())
+  };
+
+  return pattern.replace(/YYYY|MM|DD|HH|mm|ss/g, key => parts[key]);
+}
+
+/**
+ * Make text safe for use inside one path segment
+ * Slashes in values (titles, URL paths) must not create folders
+ * @param {string} value - Token value
+ * @returns {string} Safe text
+ */
+function sanitizeTokenValue(value) {
+  return String(value ?? '')
+    .replace(/[\\/]+/g, '-')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Make one path segment safe for chrome.downloads
+ * @param {string} segment - Path segment
+ * @returns {string} Safe segment (may be empty)
+ */
+function sanitizePathSegment(segment) {
+  // Control characters (below 32, and DEL) are replaced like reserved ones
+  let safe = Array.from(segment, char => (char.charCodeAt(0) < 32 || char.charCodeAt(0) === 127 ? '_' : char))
+    .join('')
+    .replace(/[<>:"|?*~]/g, '_')
+    .replace(/^[\s.]+|[\s.]+$/g, '')
+    .substring(0, MAX_SEGMENT_LENGTH)
+    .replace(/[\s.]+$/, '');
+
+  if (RESERVED_NAMES.test(safe)) safe = `_${safe}`;
+
+  return safe;
+}
+
+/**
+ * Expand a filename template
+ * @param {string} template - Template; slashes create subfolders
+ * @param {object} context - Token values (see FILENAME_TOKENS) and date
+ * @param {string} extension - File extension without dot
+ * @returns {string} Relative download path, e.g. snaps/example.com/shot.png
+ */
+function renderFilenameTemplate(template, context, extension) {
+  const date = context.date || new Date();
+
+  const expanded = (template || DEFAULT_FILENAME_TEMPLATE).replace(/\{(\w+)(?::([^}]*))?\}/g, (match, token, format) => {
+    switch (token) {
+      case 'date':
+        return formatTemplateDate(date, format || 'YYYY-MM-DD');
+      case 'time':
+        return formatTemplateDate(date, format || 'HH-mm-ss');
+      case 'timestamp':
+        return formatTemplateDate(date, 'YYYY-MM-DD_HH-mm-ss');
+      case 'counter':
+        return String(context.counter ?? 1).padStart(Number(format) || 0, '0');
+      default:
+        return token in FILENAME_TOKENS ? sanitizeTokenValue(context[token]) : match;
+    }
+  });
+
+  // '.' and '..' are dropped with other empty segments, so paths can't escape Downloads
+  const segments = expanded
+    .split(/[\\/]+/)
+    .map(sanitizePathSegment)
+    .filter(Boolean);
+
+  const name = segments.pop() || 'screenshot';
+  let folder = segments.join('/');
+
+  // Trim folders first so the filename itself survives the length limit
+  const maxFolderLength = MAX_PATH_LENGTH - name.length - extension.length - 2;
+  if (folder.length > maxFolderLength) {
+    folder = folder.substring(0, Math.max(0, maxFolderLength)).replace(/\/[^/]*$|[\s.]+$/, '');
+  }
+
+  return `${folder ? `${folder}/` : ''}${name}.${extension}`;
+}
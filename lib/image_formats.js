@@ -0,0 +1,97 @@
+/**
+ * Element Snapper - Output image formats
+ * Shared by the service worker (encoding, filenames) and the popup
+ * (format picker, per-format quality)
+ */
+
+// Supported output formats
+// - encoderQuality: fixed quality passed to convertToBlob (WebP at 1.0 is lossless)
+// - defaultQuality: initial slider value (1-100) for lossy formats
+const IMAGE_FORMATS = {
+  png: { label: 'PNG', mimeType: 'image/png', extension: 'png', lossy: false },
+  jpg: { label: 'JPG', mimeType: 'image/jpeg', extension: 'jpg', lossy: true, defaultQuality: 95 },
+  webp: { label: 'WebP', mimeType: 'image/webp', extension: 'webp', lossy: true, defaultQuality: 90 },
+  'webp-lossless': { label: 'WebP (lossless)', mimeType: 'image/webp', extension: 'webp', lossy: false, encoderQuality: 1 },
+  avif: { label: 'AVIF', mimeType: 'image/avif', extension: 'avif', lossy: true, defaultQuality: 80 }
+};
+
+// Encoder support per format, probed once
+const formatSupportCache = new Map();
+
+/**
+ * Look up format definition
+ * @param {string} format - Format key (png/jpg/webp/webp-lossless/avif)
+ * @returns {object} Format definition, PNG for unknown keys
+ */
+function getImageFormat(format) {
+  return IMAGE_FORMATS[format] || IMAGE_FORMATS.png;
+}
+
+/**
+ * Get quality (1-100) for a lossy format
+ * Falls back to the legacy single quality setting, then the format default
+ * @param {string} format - Format key
+ * @param {object} settings - Settings with qualityByFormat and quality
+ * @returns {number} Quality (1-100)
+ */
+function getFormatQuality(format, settings) {
+  const saved = settings.qualityByFormat?.[format];
+  if (saved) return saved;
+  if (format === 'jpg' && settings.quality) return settings.quality;
+  return getImageFormat(format).defaultQuality || 95;
+}
+
+/**
+ * Build convertToBlob options for a format
+ * @param {string} format - Format key
+ * @param {number} quality - Quality (1-100), ignored for lossless formats
+ * @returns {object} Options with type and quality
+ */
+function getEncoderOptions(format, quality) {
+  const definition = getImageFormat(format);
+
+  return {
+    type: definition.mimeType,
+    quality: definition.lossy ? quality / 100 : definition.encoderQuality
+  };
+}
+
+/**
+ * Check whether OffscreenCanvas can encode a format
+ * convertToBlob silently returns PNG for unsupported types, so a tiny
+ * canvas is encoded and the resulting blob type compared
+ * @param {string} format - Format key
+ * @returns {Promise<boolean>} True when supported
+ */
+async function isFormatSupported(format) {
+  const { mimeType } = getImageFormat(format);
+
+  if (!formatSupportCache.has(mimeType)) {
+    const canvas = new OffscreenCanvas(1, 1);
+    canvas.getContext('2d').fillRect(0, 0, 1, 1);
+
+    const probe = canvas.convertToBlob({ type: mimeType })
+      .then(blob => blob.type === mimeType)
+      .catch(() => false);
+
+    formatSupportCache.set(mimeType, probe);
+  }
+
+  return formatSupportCache.get(mimeType);
+}
+
+/**
+ * Resolve format from settings to one the browser can encode
+ * @param {string} format - Format key from settings
+ * @returns {Promise<object>} Object with format (usable key) and fallbackFrom (requested key, if it was replaced)
+ */
+async function resolveImageFormat(format) {
+  const requested = IMAGE_FORMATS[format] ? format : 'png';
+
+  if (await isFormatSupported(requested)) {
+    return { format: requested, fallbackFrom: null };
+  }
+
+  console.warn(`${getImageFormat(requested).label} encoding not supported, saving as PNG`);
+  return { format: 'png', fallbackFrom: requested };
+}
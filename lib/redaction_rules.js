@@ -0,0 +1,95 @@
+/**
+ * Element Snapper - Redaction rules
+ * Built-in patterns and parsing of user rules. Shared by the content
+ * script (applies redaction) and the options page (edits and validates rules).
+ */
+
+// Built-in text patterns, toggled individually in the options page
+const REDACTION_PRESETS = {
+  email: {
+    label: 'Email addresses',
+    pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi
+  },
+  creditCard: {
+    label: 'Credit card numbers',
+    // 13-19 digits, optionally grouped with spaces or dashes (Luhn-checked)
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    validate: passesLuhnCheck
+  },
+  apiKey: {
+    label: 'API keys and tokens',
+    // Stripe, AWS, GitHub, Slack, Google keys and JWTs
+    pattern: /\b(?:(?:sk|pk|rk)_(?:live|test)_[A-Za-z0-9]{16,}|AKIA[0-9A-Z]{16}|gh[pousr]_[A-Za-z0-9]{36,}|xox[abpr]-[A-Za-z0-9-]{10,}|AIza[0-9A-Za-z_-]{35}|eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,})/g
+  }
+};
+
+/**
+ * Luhn checksum, to skip digit runs that aren't card numbers
+ * @param {string} value - Matched text
+ * @returns {boolean} True when the digits pass the check
+ */
+function passesLuhnCheck(value) {
+  const digits = value.replace(/\D/g, '');
+  let sum = 0;
+
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+
+  return sum % 10 === 0;
+}
+
+/**
+ * Parse one user pattern line
+ * Accepts /pattern/flags or a bare pattern (case-sensitive)
+ * @param {string} line - Pattern line
+ * @returns {RegExp} Global regular expression
+ */
+function parseRedactionPattern(line) {
+  const literal = line.match(/^\/(.+)\/([a-z]*)$/);
+  const source = literal ? literal[1] : line;
+  const flags = literal ? literal[2] : '';
+
+  return new RegExp(source, flags.includes('g') ? flags : `${flags}g`);
+}
+
+/**
+ * Split a multi-line setting into trimmed, non-empty lines
+ * @param {string} text - Setting value
+ * @returns {string[]} Lines
+ */
+function splitRuleLines(text) {
+  return (text || '').split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+/**
+ * Build the active rules from settings
+ * Invalid user patterns are skipped (the options page flags them)
+ * @param {object} settings - Settings with redactionPresets, redactionPatterns, redactionSelectors
+ * @returns {object} Object with patterns ({regex, validate}[]) and selectors (string[])
+ */
+function getRedactionRules(settings) {
+  // Presets are on unless switched off
+  const presets = settings.redactionPresets || {};
+  const patterns = Object.entries(REDACTION_PRESETS)
+    .filter(([key]) => presets[key] !== false)
+    .map(([, preset]) => ({ regex: preset.pattern, validate: preset.validate }));
+
+  splitRuleLines(settings.redactionPatterns).forEach(line => {
+    try {
+      patterns.push({ regex: parseRedactionPattern(line) });
+    } catch (error) {
+      console.warn(`Skipping invalid redaction pattern ${line}:`, error.message);
+    }
+  });
+
+  return {
+    patterns,
+    selectors: ['input[type="password"]', ...splitRuleLines(settings.redactionSelectors)]
+  };
+}
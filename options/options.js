@@ -0,0 +1,603 @@
+/**
+ * Element Snapper - Options page
+ * Settings that need more room than the popup (filenames, breakpoints,
+ * PDF, Beautify presets, visual compare, hide lists, redaction rules)
+ */
+
+// DOM elements
+const saveStatus = document.getElementById('saveStatus');
+const filenameTemplate = document.getElementById('filenameTemplate');
+const filenamePreview = document.getElementById('filenamePreview');
+const templateErrors = document.getElementById('templateErrors');
+const tokenList = document.getElementById('tokenList');
+const counterValue = document.getElementById('counterValue');
+const resetCounterBtn = document.getElementById('resetCounterBtn');
+const breakpointWidths = document.getElementById('breakpointWidths');
+const breakpointErrors = document.getElementById('breakpointErrors');
+const pdfPaperSize = document.getElementById('pdfPaperSize');
+const pdfBackground = document.getElementById('pdfBackground');
+const pdfSinglePage = document.getElementById('pdfSinglePage');
+const beautifyPresetSelect = document.getElementById('beautifyPreset');
+const deleteBeautifyPresetBtn = document.getElementById('deleteBeautifyPresetBtn');
+const beautifyPreview = document.getElementById('beautifyPreview');
+const beautifyColor = document.getElementById('beautifyColor');
+const beautifyColor2 = document.getElementById('beautifyColor2');
+const beautifyAngle = document.getElementById('beautifyAngle');
+const beautifyPadding = document.getElementById('beautifyPadding');
+const beautifyRadius = document.getElementById('beautifyRadius');
+const beautifyShadow = document.getElementById('beautifyShadow');
+const beautifyPresetName = document.getElementById('beautifyPresetName');
+const addBeautifyPresetBtn = document.getElementById('addBeautifyPresetBtn');
+const beautifyPresetErrors = document.getElementById('beautifyPresetErrors');
+const diffThreshold = document.getElementById('diffThreshold');
+const diffThresholdValue = document.getElementById('diffThresholdValue');
+const baselineList = document.getElementById('baselineList');
+const baselineEmpty = document.getElementById('baselineEmpty');
+const hideSelectors = document.getElementById('hideSelectors');
+const hideSelectorErrors = document.getElementById('hideSelectorErrors');
+const siteHideList = document.getElementById('siteHideList');
+const siteHideEmpty = document.getElementById('siteHideEmpty');
+const redactionEnabled = document.getElementById('redactionEnabled');
+const presetList = document.getElementById('presetList');
+const redactionPatterns = document.getElementById('redactionPatterns');
+const redactionSelectors = document.getElementById('redactionSelectors');
+const patternErrors = document.getElementById('patternErrors');
+const selectorErrors = document.getElementById('selectorErrors');
+
+let saveStatusTimer = null;
+
+// Baseline thumbnail object URLs, revoked on every re-render
+let baselineUrls = [];
+
+// Beautify presets and the selected one's name
+let beautifyPresets = [];
+let activeBeautifyPreset = '';
+
+// Preview size of the sample capture; preset sizes are scaled to match
+const BEAUTIFY_PREVIEW_SIZE = { width: 160, height: 100, scale: 0.5 };
+
+/**
+ * Save settings and flash a confirmation
+ * @param {object} values - Settings to store
+ */
+async function saveOptions(values) {
+  await chrome.storage.local.set(values);
+
+  saveStatus.textContent = 'Saved';
+  clearTimeout(saveStatusTimer);
+  saveStatusTimer = setTimeout(() => {
+    saveStatus.textContent = '';
+  }, 1500);
+}
+
+/**
+ * Delay a handler until typing pauses
+ * @param {Function} callback - Handler
+ * @param {number} wait - Delay in ms
+ * @returns {Function} Debounced handler
+ */
+function debounce(callback, wait = 400) {
+  let timer = null;
+  return (...args) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => callback(...args), wait);
+  };
+}
+
+/**
+ * List invalid lines of a rule textarea
+ * @param {string} text - Textarea value
+ * @param {Function} check - Throws for an invalid line
+ * @returns {string} One error per line, empty when all are valid
+ */
+function validateLines(text, check) {
+  return splitRuleLines(text)
+    .map(line => {
+      try {
+        check(line);
+        return null;
+      } catch (error) {
+        return `${line}: ${error.message}`;
+      }
+    })
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Render token reference; clicking a token inserts it into the template
+ */
+function renderTokens() {
+  tokenList.replaceChildren(...Object.entries(FILENAME_TOKENS).flatMap(([token, description]) => {
+    const term = document.createElement('dt');
+    term.textContent = `{${token}}`;
+    term.title = 'Insert';
+    term.addEventListener('click', () => {
+      filenameTemplate.setRangeText(term.textContent, filenameTemplate.selectionStart, filenameTemplate.selectionEnd, 'end');
+      filenameTemplate.focus();
+      saveFilenameTemplate();
+    });
+
+    const definition = document.createElement('dd');
+    definition.textContent = description;
+
+    return [term, definition];
+  }));
+}
+
+/**
+ * Show the template expanded for a sample element capture
+ * and flag tokens that would be kept as literal text
+ */
+function updateFilenamePreview() {
+  const template = filenameTemplate.value.trim() || DEFAULT_FILENAME_TEMPLATE;
+
+  filenamePreview.textContent = renderFilenameTemplate(template, {
+    name: 'main',
+    mode: 'element',
+    host: 'example.com',
+    title: 'Example Domain',
+    path: 'docs/getting-started',
+    tag: 'div',
+    id: 'main',
+    class: 'container',
+    width: 1280,
+    height: 720,
+    counter: Number(counterValue.textContent)
+  }, 'png');
+
+  const unknown = [...template.matchAll(/\{(\w+)(?::[^}]*)?\}/g)]
+    .map(match => match[1])
+    .filter(token => !(token in FILENAME_TOKENS));
+
+  templateErrors.textContent = unknown.length
+    ? `Unknown token(s), kept as text: ${unknown.map(token => `{${token}}`).join(', ')}`
+    : '';
+}
+
+/**
+ * Save filename template; an empty template restores the default
+ */
+function saveFilenameTemplate() {
+  updateFilenamePreview();
+  saveOptions({ filenameTemplate: filenameTemplate.value.trim() });
+}
+
+/**
+ * Validate and save breakpoint widths
+ * Invalid lists are not saved, so captures keep the last valid one
+ */
+function saveBreakpointWidths() {
+  try {
+    parseBreakpointWidths(breakpointWidths.value);
+    breakpointErrors.textContent = '';
+    saveOptions({ breakpointWidths: breakpointWidths.value.trim() });
+  } catch (error) {
+    breakpointErrors.textContent = error.message;
+  }
+}
+
+/**
+ * Render the Beautify preset picker and show the selected preset
+ */
+function renderBeautifyPresets() {
+  beautifyPresetSelect.replaceChildren(...beautifyPresets.map(preset => new Option(preset.name, preset.name)));
+  beautifyPresetSelect.value = activeBeautifyPreset;
+
+  // At least one preset is always kept
+  deleteBeautifyPresetBtn.disabled = beautifyPresets.length < 2;
+
+  const preset = getActiveBeautifyPreset({ beautifyPresets, beautifyPreset: activeBeautifyPreset });
+  document.querySelector(`input[name="beautifyBackground"][value="${preset.background}"]`).checked = true;
+  document.querySelector(`input[name="beautifyAspect"][value="${preset.aspect}"]`).checked = true;
+  beautifyColor.value = preset.color;
+  beautifyColor2.value = preset.color2;
+  beautifyAngle.value = preset.angle;
+  beautifyPadding.value = preset.padding;
+  beautifyRadius.value = preset.radius;
+  beautifyShadow.value = preset.shadow;
+
+  updateBeautifyPreview(preset);
+}
+
+/**
+ * Read the preset form
+ * @returns {object} Normalized preset named after the selected one
+ */
+function readBeautifyForm() {
+  return normalizeBeautifyPreset({
+    name: activeBeautifyPreset,
+    background: document.querySelector('input[name="beautifyBackground"]:checked').value,
+    color: beautifyColor.value,
+    color2: beautifyColor2.value,
+    angle: beautifyAngle.value,
+    padding: beautifyPadding.value,
+    radius: beautifyRadius.value,
+    shadow: beautifyShadow.value,
+    aspect: document.querySelector('input[name="beautifyAspect"]:checked').value
+  });
+}
+
+/**
+ * Draw a preset around a sample capture, at reduced scale
+ * @param {object} preset - Normalized preset
+ */
+function updateBeautifyPreview(preset) {
+  const { width, height, scale } = BEAUTIFY_PREVIEW_SIZE;
+  const layout = getBeautifyLayout(width, height, preset, scale);
+
+  beautifyPreview.style.width = `${layout.width}px`;
+  beautifyPreview.style.height = `${layout.height}px`;
+
+  // Transparent frames show the checkerboard
+  if (preset.background === 'gradient') {
+    beautifyPreview.style.background = `linear-gradient(${preset.angle}deg, ${preset.color}, ${preset.color2})`;
+  } else if (preset.background === 'solid') {
+    beautifyPreview.style.background = preset.color;
+  } else {
+    beautifyPreview.style.background = '';
+  }
+
+  const capture = beautifyPreview.firstElementChild;
+  capture.style.borderRadius = `${preset.radius * scale}px`;
+  capture.style.boxShadow = preset.shadow > 0
+    ? `0 ${preset.shadow * scale / 4}px ${preset.shadow * scale}px rgba(0, 0, 0, 0.35)`
+    : 'none';
+
+  // Gradient colors and angle only apply to gradients
+  beautifyColor.disabled = preset.background === 'transparent';
+  beautifyColor2.disabled = preset.background !== 'gradient';
+  beautifyAngle.disabled = preset.background !== 'gradient';
+}
+
+/**
+ * Save the form into the selected preset
+ */
+function saveBeautifyPreset() {
+  const preset = readBeautifyForm();
+  beautifyPresets = beautifyPresets.map(item => item.name === preset.name ? preset : item);
+  saveOptions({ beautifyPresets });
+}
+
+/**
+ * Save the form as a new preset and select it
+ */
+async function addBeautifyPreset() {
+  const name = beautifyPresetName.value.trim();
+
+  if (!name) {
+    beautifyPresetErrors.textContent = 'Enter a name for the preset';
+    return;
+  }
+  if (beautifyPresets.some(preset => preset.name === name)) {
+    beautifyPresetErrors.textContent = `A preset named "${name}" already exists`;
+    return;
+  }
+
+  beautifyPresetErrors.textContent = '';
+  beautifyPresets = [...beautifyPresets, { ...readBeautifyForm(), name }];
+  activeBeautifyPreset = name;
+  beautifyPresetName.value = '';
+
+  await saveOptions({ beautifyPresets, beautifyPreset: name });
+  renderBeautifyPresets();
+}
+
+/**
+ * Delete the selected preset and select the first one
+ */
+async function deleteBeautifyPreset() {
+  beautifyPresets = beautifyPresets.filter(preset => preset.name !== activeBeautifyPreset);
+  activeBeautifyPreset = beautifyPresets[0].name;
+
+  await saveOptions({ beautifyPresets, beautifyPreset: activeBeautifyPreset });
+  renderBeautifyPresets();
+}
+
+/**
+ * Render stored baselines with a remove button each
+ */
+async function renderBaselines() {
+  const baselines = await listBaselines();
+
+  baselineUrls.forEach(url => URL.revokeObjectURL(url));
+  baselineUrls = baselines.map(baseline => URL.createObjectURL(baseline.parts?.[0] || baseline.blob));
+
+  baselineList.replaceChildren(...baselines.map((baseline, index) => {
+    const item = document.createElement('li');
+
+    const thumb = document.createElement('img');
+    thumb.className = 'baseline-thumb';
+    thumb.alt = '';
+    thumb.src = baselineUrls[index];
+
+    const info = document.createElement('div');
+    info.className = 'baseline-info';
+    const page = document.createElement('span');
+    page.textContent = baseline.title || baseline.url;
+    page.title = baseline.url;
+    const target = document.createElement('span');
+    target.className = 'baseline-target';
+    target.textContent = `${baseline.target} · ${baseline.width}×${baseline.height} · ${new Date(baseline.timestamp).toLocaleString()}`;
+    info.append(page, target);
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'secondary-btn';
+    remove.textContent = 'Remove';
+    remove.addEventListener('click', async () => {
+      await deleteBaseline(baseline.key);
+      await renderBaselines();
+    });
+
+    item.append(thumb, info, remove);
+    return item;
+  }));
+
+  baselineEmpty.hidden = baselines.length > 0;
+}
+
+/**
+ * Update threshold slider text
+ */
+function updateDiffThresholdDisplay() {
+  diffThresholdValue.textContent = `${diffThreshold.value}%`;
+}
+
+/**
+ * Check one hide list selector
+ * @param {string} selector - CSS selector
+ */
+function checkSelector(selector) {
+  document.querySelector(selector);
+}
+
+/**
+ * Validate and save the hide list for all sites
+ */
+function saveHideSelectors() {
+  hideSelectorErrors.textContent = validateLines(hideSelectors.value, checkSelector);
+  saveOptions({ hideSelectors: hideSelectors.value });
+}
+
+/**
+ * Render per-site hide lists, each editable with a remove button
+ * @param {object} bySite - Selector lines per site (host name)
+ */
+function renderSiteHideLists(bySite) {
+  const sites = Object.keys(bySite).sort();
+
+  siteHideList.replaceChildren(...sites.map(site => {
+    const item = document.createElement('div');
+    item.className = 'site-hide-item';
+
+    const header = document.createElement('div');
+    header.className = 'inline-row';
+    const name = document.createElement('code');
+    name.textContent = site;
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'secondary-btn';
+    remove.textContent = 'Remove';
+    remove.addEventListener('click', () => updateSiteHideList(site, ''));
+    header.append(name, remove);
+
+    const textarea = document.createElement('textarea');
+    textarea.rows = 3;
+    textarea.spellcheck = false;
+    textarea.value = bySite[site];
+
+    const errors = document.createElement('p');
+    errors.className = 'field-error';
+    errors.textContent = validateLines(textarea.value, checkSelector);
+
+    textarea.addEventListener('input', debounce(() => {
+      errors.textContent = validateLines(textarea.value, checkSelector);
+      updateSiteHideList(site, textarea.value, false);
+    }));
+
+    item.append(header, textarea, errors);
+    return item;
+  }));
+
+  siteHideEmpty.hidden = sites.length > 0;
+}
+
+/**
+ * Save one site's hide list; an empty list removes the site
+ * @param {string} site - Host name
+ * @param {string} text - Selector lines
+ * @param {boolean} rerender - Re-render the lists (not while the site's list is being edited)
+ */
+async function updateSiteHideList(site, text, rerender = true) {
+  const { hideSelectorsBySite = {} } = await chrome.storage.local.get('hideSelectorsBySite');
+
+  if (splitRuleLines(text).length > 0) {
+    hideSelectorsBySite[site] = text;
+  } else {
+    delete hideSelectorsBySite[site];
+  }
+
+  await saveOptions({ hideSelectorsBySite });
+  if (rerender) renderSiteHideLists(hideSelectorsBySite);
+}
+
+/**
+ * Render built-in pattern checkboxes
+ * @param {object} presets - Enabled state per preset key
+ */
+function renderPresets(presets) {
+  presetList.replaceChildren(...Object.entries(REDACTION_PRESETS).map(([key, preset]) => {
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = key;
+    checkbox.checked = presets[key] !== false;
+    checkbox.addEventListener('change', saveRedactionPresets);
+
+    label.append(checkbox, preset.label);
+    return label;
+  }));
+}
+
+/**
+ * Save built-in pattern checkboxes
+ */
+function saveRedactionPresets() {
+  const presets = {};
+  presetList.querySelectorAll('input').forEach(checkbox => {
+    presets[checkbox.value] = checkbox.checked;
+  });
+
+  saveOptions({ redactionPresets: presets });
+}
+
+/**
+ * Validate and save custom patterns and selectors
+ * Invalid lines are kept (so they can be fixed) but skipped at capture time
+ */
+function saveRedactionRules() {
+  patternErrors.textContent = validateLines(redactionPatterns.value, parseRedactionPattern);
+  selectorErrors.textContent = validateLines(redactionSelectors.value, checkSelector);
+
+  saveOptions({
+    redactionPatterns: redactionPatterns.value,
+    redactionSelectors: redactionSelectors.value
+  });
+}
+
+/**
+ * Load settings into the form
+ */
+async function loadOptions() {
+  const settings = await chrome.storage.local.get([
+    'filenameTemplate', 'filenameConflict', 'filenameCounter', 'breakpointWidths', 'breakpointOutput',
+    'pdfPaperSize', 'pdfMargins', 'pdfBackground', 'pdfSinglePage', 'beautifyPresets', 'beautifyPreset',
+    'diffThreshold', 'diffAntiAliasing', 'hideSelectors', 'hideSelectorsBySite',
+    'redactionEnabled', 'redactionStyle', 'redactionPresets', 'redactionPatterns', 'redactionSelectors'
+  ]);
+
+  filenameTemplate.value = settings.filenameTemplate || DEFAULT_FILENAME_TEMPLATE;
+  counterValue.textContent = (settings.filenameCounter || 0) + 1;
+  renderTokens();
+  updateFilenamePreview();
+
+  const conflictRadio = document.querySelector(`input[name="filenameConflict"][value="${settings.filenameConflict || 'uniquify'}"]`);
+  if (conflictRadio) conflictRadio.checked = true;
+
+  breakpointWidths.value = settings.breakpointWidths || '';
+
+  const outputRadio = document.querySelector(`input[name="breakpointOutput"][value="${settings.breakpointOutput || 'files'}"]`);
+  if (outputRadio) outputRadio.checked = true;
+
+  pdfPaperSize.value = settings.pdfPaperSize || 'letter';
+
+  const marginsRadio = document.querySelector(`input[name="pdfMargins"][value="${settings.pdfMargins || 'default'}"]`);
+  if (marginsRadio) marginsRadio.checked = true;
+
+  pdfBackground.checked = settings.pdfBackground ?? true;
+  pdfSinglePage.checked = settings.pdfSinglePage || false;
+
+  beautifyPresets = getBeautifyPresets(settings);
+  activeBeautifyPreset = getActiveBeautifyPreset(settings).name;
+  renderBeautifyPresets();
+
+  // Stored as a fraction (0-1), shown as percent
+  diffThreshold.value = Math.round((settings.diffThreshold ?? DEFAULT_DIFF_THRESHOLD) * 100);
+  updateDiffThresholdDisplay();
+
+  const antiAliasingRadio = document.querySelector(`input[name="diffAntiAliasing"][value="${settings.diffAntiAliasing ?? DEFAULT_DIFF_ANTI_ALIASING}"]`);
+  if (antiAliasingRadio) antiAliasingRadio.checked = true;
+
+  renderBaselines().catch(error => {
+    console.error('Failed to load baselines:', error);
+  });
+
+  hideSelectors.value = settings.hideSelectors || '';
+  hideSelectorErrors.textContent = validateLines(hideSelectors.value, checkSelector);
+  renderSiteHideLists(settings.hideSelectorsBySite || {});
+
+  redactionEnabled.checked = settings.redactionEnabled || false;
+
+  const styleRadio = document.querySelector(`input[name="redactionStyle"][value="${settings.redactionStyle || 'blur'}"]`);
+  if (styleRadio) styleRadio.checked = true;
+
+  renderPresets(settings.redactionPresets || {});
+  redactionPatterns.value = settings.redactionPatterns || '';
+  redactionSelectors.value = settings.redactionSelectors || '';
+
+  patternErrors.textContent = validateLines(redactionPatterns.value, parseRedactionPattern);
+  selectorErrors.textContent = validateLines(redactionSelectors.value, checkSelector);
+}
+
+// Event Listeners
+
+filenameTemplate.addEventListener('input', updateFilenamePreview);
+filenameTemplate.addEventListener('input', debounce(saveFilenameTemplate));
+
+document.querySelectorAll('input[name="filenameConflict"]').forEach(radio => {
+  radio.addEventListener('change', () => saveOptions({ filenameConflict: radio.value }));
+});
+
+resetCounterBtn.addEventListener('click', async () => {
+  await saveOptions({ filenameCounter: 0 });
+  counterValue.textContent = 1;
+  updateFilenamePreview();
+});
+
+breakpointWidths.addEventListener('input', debounce(saveBreakpointWidths));
+
+document.querySelectorAll('input[name="breakpointOutput"]').forEach(radio => {
+  radio.addEventListener('change', () => saveOptions({ breakpointOutput: radio.value }));
+});
+
+pdfPaperSize.addEventListener('change', () => saveOptions({ pdfPaperSize: pdfPaperSize.value }));
+
+document.querySelectorAll('input[name="pdfMargins"]').forEach(radio => {
+  radio.addEventListener('change', () => saveOptions({ pdfMargins: radio.value }));
+});
+
+pdfBackground.addEventListener('change', () => saveOptions({ pdfBackground: pdfBackground.checked }));
+pdfSinglePage.addEventListener('change', () => saveOptions({ pdfSinglePage: pdfSinglePage.checked }));
+
+beautifyPresetSelect.addEventListener('change', () => {
+  activeBeautifyPreset = beautifyPresetSelect.value;
+  saveOptions({ beautifyPreset: activeBeautifyPreset });
+  renderBeautifyPresets();
+});
+
+const saveBeautifyPresetLater = debounce(saveBeautifyPreset);
+document.querySelectorAll('#beautifySection input:not(#beautifyPresetName)').forEach(input => {
+  input.addEventListener('input', () => {
+    updateBeautifyPreview(readBeautifyForm());
+    saveBeautifyPresetLater();
+  });
+});
+
+addBeautifyPresetBtn.addEventListener('click', addBeautifyPreset);
+deleteBeautifyPresetBtn.addEventListener('click', deleteBeautifyPreset);
+
+diffThreshold.addEventListener('input', updateDiffThresholdDisplay);
+diffThreshold.addEventListener('change', () => {
+  saveOptions({ diffThreshold: Number(diffThreshold.value) / 100 });
+});
+
+document.querySelectorAll('input[name="diffAntiAliasing"]').forEach(radio => {
+  radio.addEventListener('change', () => saveOptions({ diffAntiAliasing: Number(radio.value) }));
+});
+
+hideSelectors.addEventListener('input', debounce(saveHideSelectors));
+
+redactionEnabled.addEventListener('change', () => {
+  saveOptions({ redactionEnabled: redactionEnabled.checked });
+});
+
+document.querySelectorAll('input[name="redactionStyle"]').forEach(radio => {
+  radio.addEventListener('change', () => saveOptions({ redactionStyle: radio.value }));
+});
+
+redactionPatterns.addEventListener('input', debounce(saveRedactionRules));
+redactionSelectors.addEventListener('input', debounce(saveRedactionRules));
+
+loadOptions();
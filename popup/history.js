@@ -0,0 +1,314 @@
+/**
+ * Element Snapper - History tab
+ * Lists recent captures from IndexedDB with download, copy, baseline and
+ * delete actions
+ */
+
+// DOM elements
+const historyList = document.getElementById('historyList');
+const historyEmpty = document.getElementById('historyEmpty');
+const historySummary = document.getElementById('historySummary');
+const clearHistoryBtn = document.getElementById('clearHistoryBtn');
+const historyLimitInput = document.getElementById('historyLimitInput');
+const historyLimitValue = document.getElementById('historyLimitValue');
+const historyQuotaInput = document.getElementById('historyQuotaInput');
+const historyQuotaValue = document.getElementById('historyQuotaValue');
+
+// Thumbnail object URLs, revoked on every re-render
+let thumbnailUrls = [];
+
+const HISTORY_ICONS = {
+  download: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg"><path d="M12 4V16M12 16L7 11M12 16L17 11M5 20H19" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/></svg>',
+  copy: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg"><rect x="8" y="8" width="12" height="12" rx="2" stroke="currentColor" stroke-width="2"/><path d="M16 8V6C16 4.89543 15.1046 4 14 4H6C4.89543 4 4 4.89543 4 6V14C4 15.1046 4.89543 16 6 16H8" stroke="currentColor" stroke-width="2"/></svg>',
+  baseline: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg"><path d="M5 21V4M5 4H17L15 8L17 12H5" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/></svg>',
+  delete: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg"><path d="M6 6L18 18M18 6L6 18" stroke="currentColor" stroke-width="2" stroke-linecap="round"/></svg>'
+};
+
+/**
+ * Format byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Human readable size
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Format timestamp relative to now
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {string} e.g. "5m ago", or a date for older entries
+ */
+function formatRelativeTime(timestamp) {
+  const minutes = Math.floor((Date.now() - timestamp) / 60000);
+
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h ago`;
+  return new Date(timestamp).toLocaleDateString();
+}
+
+/**
+ * Describe what was captured
+ * @param {object} entry - History entry
+ * @returns {string} Title line
+ */
+function getEntryTitle(entry) {
+  if (entry.elementInfo) {
+    const { tagName, id } = entry.elementInfo;
+    return `${tagName.toLowerCase()}${id ? `#${id}` : ''} · ${entry.title || entry.url || 'Untitled'}`;
+  }
+
+  return entry.title || entry.url || entry.filename;
+}
+
+/**
+ * Render the history list
+ */
+async function renderHistory() {
+  let entries;
+  let baselines;
+  try {
+    [entries, baselines] = await Promise.all([listHistoryEntries(), listBaselines()]);
+  } catch (error) {
+    console.error('Failed to load history:', error);
+    historySummary.textContent = 'History unavailable';
+    return;
+  }
+
+  thumbnailUrls.forEach(url => URL.revokeObjectURL(url));
+  thumbnailUrls = [];
+  historyList.replaceChildren();
+
+  const totalBytes = entries.reduce((size, entry) => size + entry.size, 0);
+  historySummary.textContent = entries.length
+    ? `${entries.length} capture${entries.length === 1 ? '' : 's'} · ${formatBytes(totalBytes)}`
+    : 'No captures';
+  historyEmpty.hidden = entries.length > 0;
+  clearHistoryBtn.disabled = entries.length === 0;
+
+  const baselineEntryIds = new Set(baselines.map(baseline => baseline.entryId));
+  entries.forEach(entry => historyList.appendChild(createHistoryItem(entry, baselineEntryIds.has(entry.id))));
+}
+
+/**
+ * Build one history row
+ * @param {object} entry - History entry
+ * @param {boolean} isBaseline - Whether the entry is its target's comparison baseline
+ * @returns {HTMLElement} Row element
+ */
+function createHistoryItem(entry, isBaseline) {
+  const item = document.createElement('div');
+  item.className = 'history-item';
+
+  const thumb = document.createElement('img');
+  thumb.className = 'history-thumb';
+  thumb.alt = '';
+  if (entry.thumbnail) {
+    const url = URL.createObjectURL(entry.thumbnail);
+    thumbnailUrls.push(url);
+    thumb.src = url;
+  }
+
+  const info = document.createElement('div');
+  info.className = 'history-info';
+
+  const title = document.createElement('span');
+  title.className = 'history-title';
+  title.textContent = getEntryTitle(entry);
+  title.title = entry.url || '';
+
+  const meta = document.createElement('span');
+  meta.className = 'history-meta';
+  const parts = entry.parts.length > 1 ? ` · ${entry.parts.length} parts` : '';
+  const comparison = entry.comparison ? ` · Δ ${entry.comparison.percent.toFixed(2)}%` : '';
+  meta.textContent = `${entry.width}×${entry.height} · ${getImageFormat(entry.format).label}${parts} · ${formatBytes(entry.size)}${comparison} · ${formatRelativeTime(entry.timestamp)}`;
+
+  info.append(title, meta);
+
+  const actions = document.createElement('div');
+  actions.className = 'history-actions';
+  actions.append(
+    createHistoryAction('download', 'Download', () => downloadHistoryEntry(entry)),
+    createHistoryAction('copy', entry.parts.length > 1 ? 'Too large to copy' : 'Copy to clipboard', () => copyHistoryEntry(entry), entry.parts.length > 1),
+    createBaselineAction(entry, isBaseline),
+    createHistoryAction('delete', 'Delete', () => removeHistoryEntry(entry))
+  );
+
+  item.append(thumb, info, actions);
+  return item;
+}
+
+/**
+ * Build an icon button for a history row
+ * @param {string} icon - Key in HISTORY_ICONS
+ * @param {string} label - Tooltip
+ * @param {Function} onClick - Click handler
+ * @param {boolean} disabled - Disable the button
+ * @returns {HTMLButtonElement} Button
+ */
+function createHistoryAction(icon, label, onClick, disabled = false) {
+  const button = document.createElement('button');
+  button.className = icon === 'delete' ? 'icon-btn danger' : 'icon-btn';
+  button.title = label;
+  button.disabled = disabled;
+  button.innerHTML = HISTORY_ICONS[icon];
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * Build the baseline toggle for a history row
+ * Only single-part captures of an identifiable target can be baselines
+ * @param {object} entry - History entry
+ * @param {boolean} isBaseline - Whether the entry is the current baseline
+ * @returns {HTMLButtonElement} Button
+ */
+function createBaselineAction(entry, isBaseline) {
+  const key = getBaselineKey(entry.url, entry.mode, entry.elementInfo);
+  const label = isBaseline ? 'Baseline (click to remove)'
+    : !key ? 'No page or element to compare'
+      : entry.parts.length > 1 ? 'Too large to compare'
+        : 'Set as baseline';
+
+  const button = createHistoryAction('baseline', label, () => toggleBaseline(entry, key, isBaseline), !key);
+  button.classList.toggle('active', isBaseline);
+  return button;
+}
+
+/**
+ * Make entry the baseline for its page and target, or remove it as baseline
+ * The image as captured is used, every part of it, without a Beautify
+ * frame or annotations
+ * @param {object} entry - History entry
+ * @param {string} key - Baseline key
+ * @param {boolean} isBaseline - Whether the entry is the current baseline
+ */
+async function toggleBaseline(entry, key, isBaseline) {
+  if (isBaseline) {
+    await deleteBaseline(key);
+    updateUI('success', 'Baseline removed');
+  } else {
+    await setBaseline({
+      key,
+      url: entry.url,
+      title: entry.title,
+      mode: entry.mode,
+      target: entry.elementInfo?.selector || entry.mode,
+      parts: entry.baselineParts || entry.parts,
+      width: entry.width,
+      height: entry.height,
+      entryId: entry.id
+    });
+    updateUI('success', 'Baseline set');
+  }
+
+  await renderHistory();
+}
+
+/**
+ * Download entry again (through the service worker, which outlives the popup)
+ * @param {object} entry - History entry
+ */
+async function downloadHistoryEntry(entry) {
+  const response = await chrome.runtime.sendMessage({ action: 'downloadHistoryEntry', id: entry.id });
+
+  if (response?.success) {
+    updateUI('success', 'Downloaded');
+  } else {
+    updateUI('error', response?.error || 'Download failed');
+  }
+}
+
+/**
+ * Copy entry to clipboard
+ * @param {object} entry - History entry
+ */
+async function copyHistoryEntry(entry) {
+  try {
+    let blob = entry.parts[0];
+
+    // Clipboard only accepts PNG images
+    if (blob.type !== 'image/png') {
+      const imageBitmap = await createImageBitmap(blob);
+      const canvas = new OffscreenCanvas(imageBitmap.width, imageBitmap.height);
+      canvas.getContext('2d').drawImage(imageBitmap, 0, 0);
+      blob = await canvas.convertToBlob({ type: 'image/png' });
+      imageBitmap.close();
+    }
+
+    await navigator.clipboard.write([new ClipboardItem({ [blob.type]: blob })]);
+    updateUI('success', 'Copied');
+  } catch (error) {
+    console.error('History copy failed:', error);
+    updateUI('error', 'Copy failed');
+  }
+}
+
+/**
+ * Delete entry and refresh the list
+ * @param {object} entry - History entry
+ */
+async function removeHistoryEntry(entry) {
+  await deleteHistoryEntry(entry.id);
+  await renderHistory();
+}
+
+/**
+ * Update history limit slider text
+ * @param {number} value - Number of captures to keep
+ */
+function updateHistoryLimitDisplay(value) {
+  historyLimitValue.textContent = Number(value) === 0 ? 'Off' : value;
+  historyLimitInput.style.setProperty('--val', `${(value / historyLimitInput.max) * 100}%`);
+}
+
+/**
+ * Update storage quota slider text
+ * @param {number} value - Quota in MB
+ */
+function updateHistoryQuotaDisplay(value) {
+  historyQuotaValue.textContent = `${value} MB`;
+  historyQuotaInput.style.setProperty('--val', `${((value - historyQuotaInput.min) / (historyQuotaInput.max - historyQuotaInput.min)) * 100}%`);
+}
+
+/**
+ * Load history settings into the sliders
+ */
+async function loadHistorySettings() {
+  const { maxEntries, maxBytes } = await getHistoryLimits();
+
+  historyLimitInput.value = maxEntries;
+  historyQuotaInput.value = maxBytes / (1024 * 1024);
+  updateHistoryLimitDisplay(maxEntries);
+  updateHistoryQuotaDisplay(historyQuotaInput.value);
+}
+
+/**
+ * Save history settings and apply them to existing entries
+ */
+async function saveHistorySettings() {
+  await chrome.storage.local.set({
+    historyLimit: parseInt(historyLimitInput.value),
+    historyQuotaMB: parseInt(historyQuotaInput.value)
+  });
+
+  await pruneHistory(await getHistoryLimits());
+  await renderHistory();
+}
+
+// Event Listeners
+
+clearHistoryBtn.addEventListener('click', async () => {
+  await clearHistory();
+  await renderHistory();
+});
+
+historyLimitInput.addEventListener('input', (e) => updateHistoryLimitDisplay(e.target.value));
+historyLimitInput.addEventListener('change', saveHistorySettings);
+
+historyQuotaInput.addEventListener('input', (e) => updateHistoryQuotaDisplay(e.target.value));
+historyQuotaInput.addEventListener('change', saveHistorySettings);
+
+loadHistorySettings();
@@ -10,20 +10,43 @@ const statusPill = document.getElementById('statusPill');
 const statusText = document.getElementById('statusText');
 const captureViewportBtn = document.getElementById('captureViewportBtn');
 const captureFullPageBtn = document.getElementById('captureFullPageBtn');
+const captureRegionBtn = document.getElementById('captureRegionBtn');
+const hidePickerBtn = document.getElementById('hidePickerBtn');
+const captureAllBtn = document.getElementById('captureAllBtn');
+const batchSelectorInput = document.getElementById('batchSelectorInput');
+const tabButtons = document.querySelectorAll('.tab-btn');
 
 // Settings elements
 const qualityInput = document.getElementById('qualityInput');
 const qualityValue = document.getElementById('qualityValue');
 const delayInput = document.getElementById('delayInput');
 const delayValue = document.getElementById('delayValue');
+const paddingInput = document.getElementById('paddingInput');
+const paddingValue = document.getElementById('paddingValue');
 const fullCaptureCheckbox = document.getElementById('fullCaptureCheckbox');
 const debugModeCheckbox = document.getElementById('debugModeCheckbox');
 const clipboardCheckbox = document.getElementById('clipboardCheckbox');
+const preloadCheckbox = document.getElementById('preloadCheckbox');
+const annotateCheckbox = document.getElementById('annotateCheckbox');
+const breakpointsCheckbox = document.getElementById('breakpointsCheckbox');
+const htmlSnapshotCheckbox = document.getElementById('htmlSnapshotCheckbox');
+const pdfOutputCheckbox = document.getElementById('pdfOutputCheckbox');
+const transparentCheckbox = document.getElementById('transparentCheckbox');
+const beautifyCheckbox = document.getElementById('beautifyCheckbox');
+const redactCheckbox = document.getElementById('redactCheckbox');
+const optionsBtn = document.getElementById('optionsBtn');
 const formatRadios = document.querySelectorAll('input[name="format"]');
+const engineRadios = document.querySelectorAll('input[name="engine"]');
+const splitRadios = document.querySelectorAll('input[name="split"]');
+const batchOutputRadios = document.querySelectorAll('input[name="batchOutput"]');
+const boundsRadios = document.querySelectorAll('input[name="bounds"]');
 
 // Current state
 let currentState = 'idle';
 
+// Quality per lossy format (1-100), e.g. { jpg: 95, webp: 90 }
+let qualityByFormat = {};
+
 // Mapping for UI text
 const STATE_CONFIG = {
   idle: { btn: 'Select Element', pill: 'idle', msg: 'Ready' },
@@ -83,7 +106,7 @@ async function sendToContentScript(message) {
       // This uses the user's gesture (popup click) and the `activeTab` + `scripting` permission.
       await chrome.scripting.executeScript({
         target: { tabId: tab.id },
-        files: ['content/utils.js', 'content/element_selector.js', 'content/content-main.js']
+        files: CONTENT_SCRIPT_FILES
       });
     }
 
@@ -99,7 +122,7 @@ async function sendToContentScript(message) {
  * Load saved settings from storage
  */
 async function loadSettings() {
-  const settings = await chrome.storage.local.get(['format', 'quality', 'delay', 'fullCapture', 'debugMode', 'copyToClipboard']);
+  const settings = await chrome.storage.local.get(['format', 'quality', 'qualityByFormat', 'delay', 'fullCapture', 'debugMode', 'copyToClipboard', 'captureEngine', 'splitOutput', 'preloadLazyContent', 'reviewBeforeSave', 'redactionEnabled', 'breakpointsEnabled', 'htmlSnapshot', 'pdfOutput', 'transparentBackground', 'beautifyEnabled', 'batchOutput', 'batchSelector', 'captureBounds', 'capturePadding']);
 
   // Format (Radio buttons)
   if (settings.format) {
@@ -107,18 +130,55 @@ async function loadSettings() {
     if (radio) radio.checked = true;
   }
 
-  // Quality (Slider)
-  if (settings.quality) {
-    qualityInput.value = settings.quality;
-    updateQualityDisplay(settings.quality);
+  // Capture engine (Radio buttons)
+  if (settings.captureEngine) {
+    const radio = document.querySelector(`input[name="engine"][value="${settings.captureEngine}"]`);
+    if (radio) radio.checked = true;
+  }
+
+  // Oversize output (Radio buttons)
+  if (settings.splitOutput) {
+    const radio = document.querySelector(`input[name="split"][value="${settings.splitOutput}"]`);
+    if (radio) radio.checked = true;
+  }
+
+  // Batch output (Radio buttons)
+  if (settings.batchOutput) {
+    const radio = document.querySelector(`input[name="batchOutput"][value="${settings.batchOutput}"]`);
+    if (radio) radio.checked = true;
+  }
+
+  // Element bounds (Radio buttons)
+  if (settings.captureBounds) {
+    const radio = document.querySelector(`input[name="bounds"][value="${settings.captureBounds}"]`);
+    if (radio) radio.checked = true;
+  }
+
+  // Last batch selector
+  if (settings.batchSelector) {
+    batchSelectorInput.value = settings.batchSelector;
   }
 
+  // Quality (Slider) - each lossy format keeps its own value
+  Object.keys(IMAGE_FORMATS)
+    .filter(format => getImageFormat(format).lossy)
+    .forEach(format => {
+      qualityByFormat[format] = getFormatQuality(format, settings);
+    });
+  showFormatQuality();
+
   // Delay (Slider)
   if (settings.delay !== undefined) {
     delayInput.value = settings.delay;
     updateDelayDisplay(settings.delay);
   }
 
+  // Padding (Slider)
+  if (settings.capturePadding !== undefined) {
+    paddingInput.value = settings.capturePadding;
+    updatePaddingDisplay(settings.capturePadding);
+  }
+
   // Checkboxes
   if (settings.fullCapture !== undefined) {
     fullCaptureCheckbox.checked = settings.fullCapture;
@@ -131,6 +191,38 @@ async function loadSettings() {
   if (settings.copyToClipboard !== undefined) {
     clipboardCheckbox.checked = settings.copyToClipboard;
   }
+
+  if (settings.preloadLazyContent !== undefined) {
+    preloadCheckbox.checked = settings.preloadLazyContent;
+  }
+
+  if (settings.reviewBeforeSave !== undefined) {
+    annotateCheckbox.checked = settings.reviewBeforeSave;
+  }
+
+  if (settings.redactionEnabled !== undefined) {
+    redactCheckbox.checked = settings.redactionEnabled;
+  }
+
+  if (settings.breakpointsEnabled !== undefined) {
+    breakpointsCheckbox.checked = settings.breakpointsEnabled;
+  }
+
+  if (settings.htmlSnapshot !== undefined) {
+    htmlSnapshotCheckbox.checked = settings.htmlSnapshot;
+  }
+
+  if (settings.pdfOutput !== undefined) {
+    pdfOutputCheckbox.checked = settings.pdfOutput;
+  }
+
+  if (settings.transparentBackground !== undefined) {
+    transparentCheckbox.checked = settings.transparentBackground;
+  }
+
+  if (settings.beautifyEnabled !== undefined) {
+    beautifyCheckbox.checked = settings.beautifyEnabled;
+  }
 }
 
 /**
@@ -149,15 +241,62 @@ function updateDelayDisplay(value) {
   delayInput.style.setProperty('--val', `${(value / 10) * 100}%`);
 }
 
+/**
+ * Update padding slider visual value and text
+ * @param {number} value - Padding in CSS pixels
+ */
+function updatePaddingDisplay(value) {
+  paddingValue.textContent = Number(value) === 0 ? 'Off' : `${value}px`;
+  paddingInput.style.setProperty('--val', `${(value / 64) * 100}%`);
+}
+
+/**
+ * Get the checked format radio value
+ * @returns {string} Format key
+ */
+function getSelectedFormat() {
+  return document.querySelector('input[name="format"]:checked')?.value || 'png';
+}
+
+/**
+ * Show the selected format's own quality on the slider
+ */
+function showFormatQuality() {
+  const quality = qualityByFormat[getSelectedFormat()];
+
+  if (quality) {
+    qualityInput.value = quality;
+    updateQualityDisplay(quality);
+  }
+}
+
+/**
+ * Disable formats the browser cannot encode (AVIF on older Chrome)
+ * Falls back to PNG when the saved format is one of them
+ */
+async function disableUnsupportedFormats() {
+  for (const radio of formatRadios) {
+    if (await isFormatSupported(radio.value)) continue;
+
+    radio.disabled = true;
+    radio.nextElementSibling.title = `${getImageFormat(radio.value).label} is not supported by this browser`;
+
+    if (radio.checked) {
+      document.getElementById('fmt-png').checked = true;
+      showFormatQuality();
+      await saveSettings();
+    }
+  }
+}
+
 /**
  * Update quality slider visibility based on format
+ * Hidden for lossless formats (PNG, WebP lossless)
  */
-// Update quality slider visibility based on format
 function updateQualityState() {
-  const selectedFormat = document.querySelector('input[name="format"]:checked')?.value || 'png';
   const qualityGroup = qualityInput.closest('.setting-group');
 
-  if (selectedFormat === 'png') {
+  if (!getImageFormat(getSelectedFormat()).lossy) {
     qualityGroup.style.display = 'none';
   } else {
     qualityGroup.style.display = 'flex';
@@ -168,18 +307,35 @@ function updateQualityState() {
  * Save settings to storage
  */
 async function saveSettings() {
-  const selectedFormat = document.querySelector('input[name="format"]:checked').value;
+  const selectedFormat = getSelectedFormat();
+  const selectedEngine = document.querySelector('input[name="engine"]:checked').value;
+  const selectedSplit = document.querySelector('input[name="split"]:checked').value;
+  const selectedBatchOutput = document.querySelector('input[name="batchOutput"]:checked').value;
+  const selectedBounds = document.querySelector('input[name="bounds"]:checked').value;
 
   // Update UI state immediately
   updateQualityState();
 
   await chrome.storage.local.set({
     format: selectedFormat,
-    quality: parseInt(qualityInput.value),
+    captureEngine: selectedEngine,
+    splitOutput: selectedSplit,
+    batchOutput: selectedBatchOutput,
+    captureBounds: selectedBounds,
+    capturePadding: parseInt(paddingInput.value),
+    qualityByFormat,
     delay: parseInt(delayInput.value),
     fullCapture: fullCaptureCheckbox.checked,
     debugMode: debugModeCheckbox.checked,
-    copyToClipboard: clipboardCheckbox.checked
+    copyToClipboard: clipboardCheckbox.checked,
+    preloadLazyContent: preloadCheckbox.checked,
+    reviewBeforeSave: annotateCheckbox.checked,
+    redactionEnabled: redactCheckbox.checked,
+    breakpointsEnabled: breakpointsCheckbox.checked,
+    htmlSnapshot: htmlSnapshotCheckbox.checked,
+    pdfOutput: pdfOutputCheckbox.checked,
+    transparentBackground: transparentCheckbox.checked,
+    beautifyEnabled: beautifyCheckbox.checked
   });
 }
 
@@ -187,6 +343,7 @@ async function saveSettings() {
 // Wrap in async immediately invoked function
 (async () => {
   await loadSettings();
+  await disableUnsupportedFormats();
   updateQualityState(); // Ensure correct initial state
 
 
@@ -229,8 +386,47 @@ captureBtn.addEventListener('click', async () => {
   }
 });
 
+// Tabs
+tabButtons.forEach(button => {
+  button.addEventListener('click', () => {
+    tabButtons.forEach(other => other.classList.toggle('active', other === button));
+    document.querySelectorAll('.tab-panel').forEach(panel => {
+      panel.hidden = panel.id !== button.dataset.tab;
+    });
+
+    if (button.dataset.tab === 'historyView') {
+      renderHistory();
+    } else if (button.dataset.tab === 'recipesView') {
+      renderRecipes();
+    }
+  });
+});
+
 // Settings - Format Radios
 formatRadios.forEach(radio => {
+  radio.addEventListener('change', () => {
+    showFormatQuality();
+    saveSettings();
+  });
+});
+
+// Settings - Engine Radios
+engineRadios.forEach(radio => {
+  radio.addEventListener('change', saveSettings);
+});
+
+// Settings - Oversize Output Radios
+splitRadios.forEach(radio => {
+  radio.addEventListener('change', saveSettings);
+});
+
+// Settings - Batch Output Radios
+batchOutputRadios.forEach(radio => {
+  radio.addEventListener('change', saveSettings);
+});
+
+// Settings - Element Bounds Radios
+boundsRadios.forEach(radio => {
   radio.addEventListener('change', saveSettings);
 });
 
@@ -238,7 +434,10 @@ formatRadios.forEach(radio => {
 qualityInput.addEventListener('input', (e) => {
   updateQualityDisplay(e.target.value);
 });
-qualityInput.addEventListener('change', saveSettings);
+qualityInput.addEventListener('change', (e) => {
+  qualityByFormat[getSelectedFormat()] = parseInt(e.target.value);
+  saveSettings();
+});
 
 // Settings - Delay Slider
 delayInput.addEventListener('input', (e) => {
@@ -246,10 +445,29 @@ delayInput.addEventListener('input', (e) => {
 });
 delayInput.addEventListener('change', saveSettings);
 
+// Settings - Padding Slider
+paddingInput.addEventListener('input', (e) => {
+  updatePaddingDisplay(e.target.value);
+});
+paddingInput.addEventListener('change', saveSettings);
+
 // Settings - Checkboxes
 fullCaptureCheckbox.addEventListener('change', saveSettings);
 debugModeCheckbox.addEventListener('change', saveSettings);
 clipboardCheckbox.addEventListener('change', saveSettings);
+preloadCheckbox.addEventListener('change', saveSettings);
+annotateCheckbox.addEventListener('change', saveSettings);
+redactCheckbox.addEventListener('change', saveSettings);
+breakpointsCheckbox.addEventListener('change', saveSettings);
+htmlSnapshotCheckbox.addEventListener('change', saveSettings);
+pdfOutputCheckbox.addEventListener('change', saveSettings);
+transparentCheckbox.addEventListener('change', saveSettings);
+beautifyCheckbox.addEventListener('change', saveSettings);
+
+// Options page (filenames, breakpoints, redaction rules)
+optionsBtn.addEventListener('click', () => {
+  chrome.runtime.openOptionsPage();
+});
 
 // Action Buttons - Viewport Capture
 captureViewportBtn.addEventListener('click', async () => {
@@ -273,12 +491,59 @@ captureFullPageBtn.addEventListener('click', async () => {
   }
 });
 
+// Action Buttons - Region Capture
+captureRegionBtn.addEventListener('click', async () => {
+  try {
+    updateUI('selecting');
+    await sendToContentScript({ action: 'startRegionSelection' });
+    window.close(); // Close popup so user can drag
+  } catch (error) {
+    updateUI('error', error.message);
+  }
+});
+
+// Action Buttons - Hide List Picker
+hidePickerBtn.addEventListener('click', async () => {
+  try {
+    updateUI('selecting', 'Picking elements to hide');
+    await sendToContentScript({ action: 'startHidePicker' });
+    window.close(); // Close popup so user can pick
+  } catch (error) {
+    updateUI('error', error.message);
+  }
+});
+
+// Action Buttons - Capture All Matching
+captureAllBtn.addEventListener('click', async () => {
+  const selector = batchSelectorInput.value.trim();
+  if (!selector) {
+    batchSelectorInput.focus();
+    return;
+  }
+
+  try {
+    await chrome.storage.local.set({ batchSelector: selector });
+    updateUI('capturing', 'Capturing matches');
+    await sendToContentScript({ action: 'captureAllMatching', selector });
+    window.close(); // Progress and cancel are shown on the page
+  } catch (error) {
+    updateUI('error', error.message);
+  }
+});
+
+batchSelectorInput.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') captureAllBtn.click();
+});
+
 // Chrome Runtime Messages
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.action === 'captureStarted') {
     updateUI('capturing');
   } else if (message.action === 'captureSuccess') {
-    updateUI('success');
+    const statusMessage = message.result === 'review' ? 'Opened in editor'
+      : message.engine === 'debugger' ? 'Saved via DevTools'
+        : undefined;
+    updateUI('success', statusMessage);
   } else if (message.action === 'captureError') {
     updateUI('error', message.error);
   }
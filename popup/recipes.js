@@ -0,0 +1,170 @@
+/**
+ * Element Snapper - Recipes tab
+ * Saves the last element capture as a named recipe (page URL, selector,
+ * XPath, scroll-element flag and format) and runs recipes again in one click
+ */
+
+// DOM elements
+const recipeSource = document.getElementById('recipeSource');
+const recipeNameInput = document.getElementById('recipeNameInput');
+const saveRecipeBtn = document.getElementById('saveRecipeBtn');
+const recipeList = document.getElementById('recipeList');
+const recipeEmpty = document.getElementById('recipeEmpty');
+
+const RECIPE_ICONS = {
+  run: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg"><path d="M7 5L19 12L7 19V5Z" stroke="currentColor" stroke-width="2" stroke-linejoin="round"/></svg>',
+  delete: HISTORY_ICONS.delete
+};
+
+// Last element capture of this browser session, offered for saving
+let recipeCandidate = null;
+
+/**
+ * Load saved recipes
+ * @returns {Promise<object[]>} Recipes, newest first
+ */
+async function loadRecipes() {
+  const { captureRecipes } = await chrome.storage.local.get('captureRecipes');
+  return captureRecipes || [];
+}
+
+/**
+ * Show the last element capture as the one to save
+ */
+async function loadRecipeCandidate() {
+  const { lastCapture } = await chrome.storage.session.get('lastCapture');
+  recipeCandidate = lastCapture?.mode === 'element' && lastCapture.url && lastCapture.selector ? lastCapture : null;
+
+  if (recipeCandidate) {
+    recipeSource.textContent = `Last capture: ${recipeCandidate.selector}`;
+    recipeSource.title = recipeCandidate.url;
+    recipeNameInput.placeholder = recipeCandidate.title || 'Recipe name';
+  }
+
+  saveRecipeBtn.disabled = !recipeCandidate;
+}
+
+/**
+ * Save the last element capture as a recipe
+ */
+async function saveRecipe() {
+  if (!recipeCandidate) return;
+
+  const recipe = {
+    id: Date.now(),
+    name: recipeNameInput.value.trim() || recipeCandidate.title || recipeCandidate.selector,
+    url: recipeCandidate.url,
+    selector: recipeCandidate.selector,
+    xpath: recipeCandidate.xpath,
+    fullCapture: recipeCandidate.fullCapture ?? false,
+    format: recipeCandidate.format || 'png',
+    createdAt: Date.now()
+  };
+
+  const recipes = await loadRecipes();
+  await chrome.storage.local.set({ captureRecipes: [recipe, ...recipes] });
+
+  recipeNameInput.value = '';
+  updateUI('success', 'Recipe saved');
+  await renderRecipes();
+}
+
+/**
+ * Render the recipe list
+ */
+async function renderRecipes() {
+  const recipes = await loadRecipes();
+
+  recipeList.replaceChildren(...recipes.map(createRecipeItem));
+  recipeEmpty.hidden = recipes.length > 0;
+}
+
+/**
+ * Build one recipe row
+ * @param {object} recipe - Recipe
+ * @returns {HTMLElement} Row element
+ */
+function createRecipeItem(recipe) {
+  const item = document.createElement('div');
+  item.className = 'history-item';
+
+  const info = document.createElement('div');
+  info.className = 'history-info';
+
+  const title = document.createElement('span');
+  title.className = 'history-title';
+  title.textContent = recipe.name;
+  title.title = recipe.url;
+
+  const meta = document.createElement('span');
+  meta.className = 'history-meta';
+  meta.textContent = `${new URL(recipe.url).host} · ${recipe.selector}`;
+  meta.title = `${recipe.selector}\n${recipe.xpath || ''}`;
+
+  info.append(title, meta);
+
+  const actions = document.createElement('div');
+  actions.className = 'history-actions';
+  actions.append(
+    createRecipeAction('run', 'Run', () => runRecipe(recipe)),
+    createRecipeAction('delete', 'Delete', () => removeRecipe(recipe))
+  );
+
+  item.append(info, actions);
+  return item;
+}
+
+/**
+ * Build an icon button for a recipe row
+ * @param {string} icon - Key in RECIPE_ICONS
+ * @param {string} label - Tooltip
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement} Button
+ */
+function createRecipeAction(icon, label, onClick) {
+  const button = document.createElement('button');
+  button.className = icon === 'delete' ? 'icon-btn danger' : 'icon-btn';
+  button.title = label;
+  button.innerHTML = RECIPE_ICONS[icon];
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * Run a recipe through the service worker, which opens the page and
+ * outlives the popup
+ * Host access is requested on the first run; if Chrome closes the popup
+ * for its prompt, Run is clicked again
+ * @param {object} recipe - Recipe
+ */
+async function runRecipe(recipe) {
+  // Requested before anything else, while the click still counts as a user gesture
+  const granted = await chrome.permissions.request(RECIPE_HOST_PERMISSIONS);
+  if (!granted) {
+    updateUI('error', 'Recipes need access to your sites');
+    return;
+  }
+
+  chrome.runtime.sendMessage({ action: 'runRecipe', recipe });
+  window.close();
+}
+
+/**
+ * Delete a recipe and refresh the list
+ * @param {object} recipe - Recipe
+ */
+async function removeRecipe(recipe) {
+  const recipes = await loadRecipes();
+  await chrome.storage.local.set({ captureRecipes: recipes.filter(other => other.id !== recipe.id) });
+  await renderRecipes();
+}
+
+// Event Listeners
+
+saveRecipeBtn.addEventListener('click', saveRecipe);
+
+recipeNameInput.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') saveRecipe();
+});
+
+loadRecipeCandidate();